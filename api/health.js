@@ -3,11 +3,11 @@
  * URL: https://your-project.vercel.app/api/health
  */
 
-module.exports = function handler(req, res) {
+export default function handler(req, res) {
   return res.status(200).json({
     status: 'ok',
     service: 'Housecall Pro → Patch Retention Sync',
     timestamp: new Date().toISOString(),
     vercel: true
   });
-};
+}
@@ -0,0 +1,127 @@
+/**
+ * Vercel Serverless Function - Webhook endpoint for Patch Retention
+ *
+ * This endpoint receives contact events from Patch Retention when:
+ * - A contact is updated (e.g. staff corrected an email)
+ * - A contact unsubscribes (texted STOP or opted out)
+ *
+ * Changes are pushed back to the matching Housecall Pro customer (lib/reverseSync.js).
+ * Events caused by our own HC → Patch writes are ignored (lib/echoGuard.js).
+ *
+ * Requests must carry PATCH_WEBHOOK_SECRET in the X-Webhook-Secret header
+ * or the `secret` query parameter.
+ *
+ * URL: https://your-project.vercel.app/api/patch-webhook?secret=<PATCH_WEBHOOK_SECRET>
+ */
+
+import { syncContactToHousecall } from '../lib/reverseSync.js';
+import { verifySharedSecret } from '../lib/webhookAuth.js';
+import { isEcho } from '../lib/echoGuard.js';
+
+// Contact events pushed back to Housecall Pro
+const SUPPORTED_EVENTS = ['contact.updated', 'contact.unsubscribed'];
+
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. This endpoint only accepts POST requests.'
+    });
+  }
+
+  try {
+    console.log('📥 Received webhook from Patch Retention');
+
+    const verification = verifySharedSecret(req);
+    if (!verification.valid) {
+      if (verification.reason === 'secret_not_configured') {
+        console.error('❌ PATCH_WEBHOOK_SECRET not configured - rejecting webhook');
+        return res.status(500).json({
+          success: false,
+          error: 'Webhook secret not configured'
+        });
+      }
+
+      console.log(`🚫 Rejected webhook - invalid secret (${verification.reason})`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid webhook secret'
+      });
+    }
+
+    const { event, data } = req.body || {};
+    const contact = data?.contact || data;
+
+    console.log(`Event type: ${event || 'unknown'}`);
+
+    if (!SUPPORTED_EVENTS.includes(event)) {
+      // Unknown or test event - return 200 so webhook doesn't get disabled
+      console.log(`⚠️  Unsupported event type: ${event}`);
+      return res.status(200).json({
+        success: true,
+        message: 'Event type not handled, but webhook is working',
+        event: event || null
+      });
+    }
+
+    if (!contact || !contact._id) {
+      console.log('⚠️  No contact data in webhook, but returning 200');
+      return res.status(200).json({
+        success: true,
+        message: 'No contact data to sync',
+        event
+      });
+    }
+
+    // Ignore the event fired by our own HC → Patch write (loop prevention)
+    if (await isEcho('patch', contact._id, contact)) {
+      console.log(`🔁 Ignoring echo of our own update to contact ${contact._id}`);
+      return res.status(200).json({
+        success: true,
+        message: 'Contact sync skipped (echo of a Housecall Pro → Patch update)',
+        action: 'skipped',
+        reason: 'echo'
+      });
+    }
+
+    const result = await syncContactToHousecall(contact, { event });
+
+    // Failed writes are persisted to the retry queue - acknowledge so Patch doesn't redeliver
+    if (result.action === 'error' && (result.queued || result.deadLetter)) {
+      return res.status(202).json({
+        success: false,
+        message: result.queued ? 'Sync failed - queued for retry' : 'Sync failed - moved to dead letters',
+        error: result.error,
+        event
+      });
+    }
+
+    if (result.action === 'error') {
+      return res.status(500).json({
+        success: false,
+        error: result.error,
+        event
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: result.action === 'updated'
+        ? 'Contact changes synced to Housecall Pro'
+        : 'Contact sync skipped (no changes needed or no matching customer)',
+      action: result.action,
+      reason: result.reason || null,
+      customer_id: result.customerId || null,
+      changes: result.changes || null
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Vercel Serverless Function - Scheduled reconciliation sync
+ *
+ * Runs on a schedule (vercel.json crons) as a safety net for missed webhooks:
+ * syncs every Housecall Pro customer updated since the last completed pass, then
+ * (once a day) checks mapped customers for deletions. Large backlogs are worked
+ * through in chunks across invocations.
+ *
+ * URL: https://your-project.vercel.app/api/reconcile
+ */
+
+import { runReconcile, runDeletionSweep } from '../lib/reconcile.js';
+import { rejectUnauthorizedCron, getDeadline } from '../lib/cron.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. This endpoint only accepts GET or POST requests.'
+    });
+  }
+
+  if (rejectUnauthorizedCron(req, res)) return;
+
+  try {
+    const deadline = getDeadline();
+    const result = await runReconcile({ deadline });
+
+    // Deletion sweep only runs once updates are caught up, in the time left
+    const deletions = result.done && Date.now() < deadline
+      ? await runDeletionSweep({ deadline })
+      : null;
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+      deletions,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Reconcile error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
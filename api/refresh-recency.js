@@ -0,0 +1,41 @@
+/**
+ * Vercel Serverless Function - Scheduled recency tag refresh
+ *
+ * Runs on a schedule (vercel.json crons) so time-based tags like `Recency:3-6m`
+ * move to the next bucket even when no webhook fires for the customer.
+ * Only contacts whose bucket changed are updated; large contact lists are worked
+ * through across invocations.
+ *
+ * URL: https://your-project.vercel.app/api/refresh-recency
+ */
+
+import { runRecencyRefresh } from '../lib/recency.js';
+import { rejectUnauthorizedCron, getDeadline } from '../lib/cron.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. This endpoint only accepts GET or POST requests.'
+    });
+  }
+
+  if (rejectUnauthorizedCron(req, res)) return;
+
+  try {
+    const result = await runRecencyRefresh({ deadline: getDeadline() });
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Recency refresh error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
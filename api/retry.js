@@ -0,0 +1,45 @@
+/**
+ * Vercel Serverless Function - Retry queue processor
+ *
+ * Runs on a schedule (vercel.json crons) and retries failed Patch writes that are
+ * due. Entries that keep failing move to the dead-letter list; inspect and replay
+ * those with `npm run retry-queue`.
+ *
+ * URL: https://your-project.vercel.app/api/retry
+ */
+
+import { retryFailedSyncs } from '../lib/sync.js';
+import { listPending, listDeadLetters } from '../lib/retryQueue.js';
+import { rejectUnauthorizedCron, getDeadline } from '../lib/cron.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. This endpoint only accepts GET or POST requests.'
+    });
+  }
+
+  if (rejectUnauthorizedCron(req, res)) return;
+
+  try {
+    const stats = await retryFailedSyncs({ deadline: getDeadline() });
+
+    const [pending, deadLetters] = await Promise.all([listPending(), listDeadLetters()]);
+
+    return res.status(200).json({
+      success: true,
+      ...stats,
+      pending: pending.length,
+      deadLetters: deadLetters.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Retry queue error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
@@ -4,91 +4,90 @@
  * This endpoint receives webhook events from Housecall Pro when:
  * - A new customer is created
  * - A customer is updated
- * - A job is completed (to update last service date)
+ * - A job is completed (to update last service date, job count and lifetime value)
+ * - A lead is created, updated or converted (Type:lead → Type:customer on the same contact)
+ * - An estimate is created, sent, approved or declined (Estimate: status tag)
+ * - A customer is deleted or archived (Patch contact tagged, unsubscribed or deleted per ARCHIVE_POLICY)
+ *
+ * Events are run through the same create/update/skip pipeline as the bulk sync
+ * (lib/sync.js), so deduplication and merge rules behave identically.
+ *
+ * Every delivery must carry a valid Housecall Pro signature (see lib/webhookAuth.js);
+ * forged or replayed requests are rejected with 401.
  *
  * URL: https://your-project.vercel.app/api/sync
  */
 
-const axios = require('axios');
-
-// Simple inline sync function to avoid module issues
-async function syncCustomer(customer) {
-  try {
-    console.log('🔧 Starting syncCustomer function...');
-    const PATCH_API_KEY = process.env.PATCH_API_KEY;
-    const PATCH_ACCOUNT_ID = process.env.PATCH_ACCOUNT_ID;
-
-    console.log('🔑 Environment check:', {
-      hasPatchKey: !!PATCH_API_KEY,
-      hasAccountId: !!PATCH_ACCOUNT_ID,
-      keyPreview: PATCH_API_KEY ? PATCH_API_KEY.substring(0, 10) + '...' : 'NOT SET'
-    });
-
-    if (!PATCH_API_KEY) {
-      throw new Error('PATCH_API_KEY not configured');
-    }
+import { syncCustomer, syncJobCompleted, syncCustomerRemoved } from '../lib/sync.js';
+import { readRawBody, hasSignatureHeaders, verifySignature } from '../lib/webhookAuth.js';
+import { isEcho } from '../lib/echoGuard.js';
+import { getLeadCustomer, getLeadSource, getEstimateStatus } from '../lib/leads.js';
 
-    // Transform customer data to Patch format
-    const patchContact = {
-      first_name: customer.first_name || '',
-      last_name: customer.last_name || '',
-      phone: customer.mobile_number || customer.home_number || '',
-      email: customer.email || '',
-      tags: ['Source:housecallpro', 'Sync:realtime']
-    };
-
-    // Add city if available
-    if (customer.addresses && customer.addresses.length > 0) {
-      const address = customer.addresses[0];
-      if (address.city) patchContact.city = address.city;
-    }
+// Disable automatic body parsing - signature verification needs the raw body
+export const config = {
+  api: { bodyParser: false }
+};
 
-    // Skip if no phone
-    if (!patchContact.phone) {
-      console.log('⚠️  Skipping - no phone number');
-      return { action: 'skipped', reason: 'no_phone' };
-    }
+// Response messages for each sync action
+const ACTION_MESSAGES = {
+  created: 'Customer synced to Patch Retention (created)',
+  updated: 'Customer synced to Patch Retention (updated)',
+  skipped: 'Customer sync skipped (no changes needed or no phone)',
+  archived: 'Archived customer - Patch contact archived'
+};
 
-    console.log('📤 Sending to Patch API:', {
-      name: `${patchContact.first_name} ${patchContact.last_name}`,
-      phone: patchContact.phone,
-      email: patchContact.email
-    });
+// Estimate events tag the contact with the estimate status
+const ESTIMATE_EVENTS = ['estimate.created', 'estimate.updated', 'estimate.sent', 'estimate.approved', 'estimate.declined'];
 
-    // Create contact in Patch Retention
-    const response = await axios.post(
-      'https://api.citygro.com/v2/contacts',
-      patchContact,
-      {
-        headers: {
-          'Authorization': `Bearer ${PATCH_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+// Delete/archive events report the archive policy applied
+const REMOVAL_EVENTS = {
+  'customer.deleted': 'deleted',
+  'customer.archived': 'archived'
+};
 
-    console.log(`✅ Created contact: ${patchContact.first_name} ${patchContact.last_name}`);
-    return { action: 'created', contact: response.data };
+// Job events report job history updates
+const JOB_ACTION_MESSAGES = {
+  updated: 'Job history synced to Patch Retention',
+  skipped: 'Job history sync skipped (no changes needed or no phone)'
+};
 
-  } catch (error) {
-    console.error('❌ Error in syncCustomer:', {
-      message: error.message,
-      status: error.response?.status,
-      data: error.response?.data
+/**
+ * Send the response for a sync result
+ * @param {object} res - HTTP response
+ * @param {string} event - Webhook event
+ * @param {object} result - Sync result
+ * @param {string} message - Success message
+ */
+function sendResult(res, event, result, message) {
+  // Failed writes are persisted to the retry queue - acknowledge so Housecall Pro doesn't redeliver
+  if (result.action === 'error' && (result.queued || result.deadLetter)) {
+    return res.status(202).json({
+      success: false,
+      message: result.queued ? 'Sync failed - queued for retry' : 'Sync failed - moved to dead letters',
+      error: result.error,
+      event
     });
+  }
 
-    // If error is 409 or duplicate, that's okay - contact already exists
-    if (error.response && (error.response.status === 409 || error.response.status === 400)) {
-      console.log('⚠️  Contact already exists or validation error');
-      return { action: 'skipped', reason: 'duplicate_or_validation' };
-    }
-
-    console.error('❌ Sync error:', error.message);
-    throw error;
+  // Return 500 if the failure couldn't be queued so Housecall Pro redelivers the webhook
+  if (result.action === 'error') {
+    return res.status(500).json({
+      success: false,
+      error: result.error,
+      event
+    });
   }
+
+  return res.status(200).json({
+    success: true,
+    message,
+    action: result.action,
+    reason: result.reason || null,
+    contact_id: result.contact?._id || null
+  });
 }
 
-module.exports = async function handler(req, res) {
+export default async function handler(req, res) {
   // Only allow POST requests
   if (req.method !== 'POST') {
     return res.status(405).json({
@@ -100,14 +99,50 @@ module.exports = async function handler(req, res) {
   try {
     console.log('📥 Received webhook from Housecall Pro');
 
+    // Parse the raw body ourselves so the signature can be checked against the exact bytes
+    const rawBody = await readRawBody(req);
+
+    let payload;
+    try {
+      payload = rawBody.length > 0 ? JSON.parse(rawBody.toString('utf8')) : {};
+    } catch (parseError) {
+      console.log('⚠️  Rejected webhook - body is not valid JSON');
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid JSON payload'
+      });
+    }
+
     // Extract data from webhook payload
-    const { event, data } = req.body;
+    const { event, data } = payload || {};
+    const isTestEvent = !event || event === 'test' || event === 'ping' || !data;
+
+    // Verify signature - unsigned test/ping deliveries are answered without doing any work
+    if (!isTestEvent || hasSignatureHeaders(req.headers)) {
+      const verification = verifySignature(rawBody, req.headers);
+
+      if (!verification.valid) {
+        if (verification.reason === 'secret_not_configured') {
+          console.error('❌ HOUSECALL_WEBHOOK_SECRET not configured - rejecting webhook');
+          return res.status(500).json({
+            success: false,
+            error: 'Webhook signing secret not configured'
+          });
+        }
+
+        console.log(`🚫 Rejected webhook - invalid signature (${verification.reason})`);
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid webhook signature'
+        });
+      }
+    }
 
     console.log(`Event type: ${event || 'unknown'}`);
-    console.log('Webhook payload:', JSON.stringify(req.body));
+    console.log('Webhook payload:', JSON.stringify(payload));
 
     // Handle test/ping webhooks from Housecall Pro
-    if (!event || event === 'test' || event === 'ping' || !data) {
+    if (isTestEvent) {
       console.log('✅ Test webhook received');
       return res.status(200).json({
         success: true,
@@ -116,18 +151,46 @@ module.exports = async function handler(req, res) {
       });
     }
 
+    // Deleted customers may carry little more than an ID - handle before validating customer data
+    if (REMOVAL_EVENTS[event]) {
+      const removed = data.customer || data;
+      if (!removed?.id) {
+        console.log('⚠️  No customer ID in webhook, but returning 200');
+        return res.status(200).json({ success: true, message: 'No customer data to sync', event });
+      }
+
+      const result = await syncCustomerRemoved(removed, { reason: REMOVAL_EVENTS[event] });
+      return sendResult(res, event, result, result.action === 'archived'
+        ? `Customer ${REMOVAL_EVENTS[event]} - Patch contact archived (${result.policy})`
+        : 'Customer removal skipped (no matching Patch contact or already archived)');
+    }
+
     // Handle different event types
     let customer = null;
+    const syncOptions = { isInitialSync: false };
 
     if (event === 'customer.created' || event === 'customer.updated') {
       // Direct customer data
       customer = data;
     } else if (event === 'lead.created' || event === 'lead.updated') {
-      // Lead data (treat as customer)
-      customer = data;
-      console.log('📋 Processing lead as customer');
+      // Lead - tagged Type:lead with its source (never downgrades an existing customer)
+      customer = getLeadCustomer(data);
+      syncOptions.recordType = 'lead';
+      syncOptions.leadSource = getLeadSource(data);
+      console.log('📋 Processing lead');
+    } else if (event === 'lead.converted') {
+      // Converted lead - retag the same contact as Type:customer
+      customer = getLeadCustomer(data);
+      syncOptions.recordType = 'customer';
+      console.log('🎉 Processing lead conversion');
+    } else if (ESTIMATE_EVENTS.includes(event)) {
+      // Estimate - an approved estimate books the work and converts a lead
+      customer = data.customer;
+      syncOptions.estimateStatus = getEstimateStatus(data, event);
+      syncOptions.recordType = syncOptions.estimateStatus === 'approved' ? 'customer' : 'lead';
+      console.log(`📝 Processing estimate (${syncOptions.estimateStatus})`);
     } else if (event === 'job.completed') {
-      // Extract customer from job data
+      // Extract customer from job data - job history is written by syncJobCompleted
       customer = data.customer;
     } else {
       // Unknown event type - return 200 so webhook doesn't get disabled
@@ -149,20 +212,23 @@ module.exports = async function handler(req, res) {
       });
     }
 
-    // Sync customer to Patch Retention
-    const result = await syncCustomer(customer);
+    // Ignore the customer.updated fired by our own Patch → HC write (loop prevention)
+    if (event === 'customer.updated' && await isEcho('housecall', customer.id, customer)) {
+      console.log(`🔁 Ignoring echo of our own update to customer ${customer.id}`);
+      return res.status(200).json({
+        success: true,
+        message: 'Customer sync skipped (echo of a Patch → Housecall Pro update)',
+        action: 'skipped',
+        reason: 'echo'
+      });
+    }
 
-    // Return success response
-    const responseMessage = result.action === 'created'
-      ? 'Customer synced to Patch Retention (created)'
-      : 'Customer sync skipped (already exists or no phone)';
+    // Sync to Patch Retention (dedup → merge decision → create/update/skip)
+    const result = event === 'job.completed'
+      ? await syncJobCompleted(data, syncOptions)
+      : await syncCustomer(customer, syncOptions);
 
-    return res.status(200).json({
-      success: true,
-      message: responseMessage,
-      action: result.action,
-      contact_id: result.contact?._id || null
-    });
+    return sendResult(res, event, result, (event === 'job.completed' ? JOB_ACTION_MESSAGES : ACTION_MESSAGES)[result.action]);
 
   } catch (error) {
     console.error('❌ Webhook error:', error);
@@ -172,4 +238,4 @@ module.exports = async function handler(req, res) {
       error: error.message || 'Internal server error'
     });
   }
-};
+}
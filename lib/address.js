@@ -0,0 +1,271 @@
+/**
+ * Address standardization - Clean up Housecall Pro addresses before writing to Patch
+ *
+ * Offline USPS-style rules (Publication 28 abbreviations):
+ * - Street   "123 north main street apartment 4" → "123 N Main St Apt 4"
+ * - City     Title case, with aliases from config ("slc" → "Salt Lake City")
+ * - State    Full names → 2-letter codes ("Utah", "ut " → "UT")
+ * - ZIP      5 digits; the +4 of a ZIP+4 is split off
+ *
+ * City aliases, the ZIP → service area table and per-property tag settings live in
+ * config/address.json (override with ADDRESS_CONFIG_PATH).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_ADDRESS_CONFIG_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'address.json');
+
+// USPS street suffix abbreviations
+const STREET_SUFFIXES = {
+  alley: 'Aly', avenue: 'Ave', av: 'Ave', boulevard: 'Blvd', circle: 'Cir', court: 'Ct',
+  cove: 'Cv', crossing: 'Xing', drive: 'Dr', expressway: 'Expy', freeway: 'Fwy', highway: 'Hwy',
+  hollow: 'Holw', lane: 'Ln', loop: 'Loop', parkway: 'Pkwy', place: 'Pl', plaza: 'Plz',
+  point: 'Pt', ridge: 'Rdg', road: 'Rd', square: 'Sq', street: 'St', str: 'St', terrace: 'Ter',
+  trail: 'Trl', view: 'Vw', way: 'Way'
+};
+
+// Abbreviations already in USPS form, keyed lowercase (so "ST." → "St")
+const SUFFIX_ABBREVIATIONS = Object.fromEntries(
+  [...new Set(Object.values(STREET_SUFFIXES))].map(abbreviation => [abbreviation.toLowerCase(), abbreviation])
+);
+
+const DIRECTIONALS = {
+  north: 'N', south: 'S', east: 'E', west: 'W',
+  northeast: 'NE', northwest: 'NW', southeast: 'SE', southwest: 'SW',
+  n: 'N', s: 'S', e: 'E', w: 'W', ne: 'NE', nw: 'NW', se: 'SE', sw: 'SW'
+};
+
+const UNIT_DESIGNATORS = {
+  apartment: 'Apt', apt: 'Apt', suite: 'Ste', ste: 'Ste', unit: 'Unit', building: 'Bldg', bldg: 'Bldg',
+  floor: 'Fl', fl: 'Fl', room: 'Rm', rm: 'Rm', lot: 'Lot', space: 'Spc', spc: 'Spc', trailer: 'Trlr', '#': '#'
+};
+
+const STATES = {
+  alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO',
+  connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC', florida: 'FL', georgia: 'GA',
+  hawaii: 'HI', idaho: 'ID', illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY',
+  louisiana: 'LA', maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+  mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH',
+  'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND',
+  ohio: 'OH', oklahoma: 'OK', oregon: 'OR', pennsylvania: 'PA', 'rhode island': 'RI',
+  'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT',
+  virginia: 'VA', washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY',
+  'puerto rico': 'PR', guam: 'GU', 'virgin islands': 'VI'
+};
+
+const STATE_CODES = new Set(Object.values(STATES));
+
+// "123", "123A", "123-1/2" - but not an ordinal street name like "1st"
+const HOUSE_NUMBER_PATTERN = /^\d+([-/]\d+)*[a-z]?$/i;
+
+let cachedConfig = null;
+
+/**
+ * Validate an address configuration
+ * @param {object} config - Parsed configuration
+ * @returns {object} - The same configuration
+ * @throws {Error} - If an alias or service area is malformed
+ */
+export function validateAddressConfig(config) {
+  if (!config || typeof config !== 'object') {
+    throw new Error('Address configuration must be an object');
+  }
+
+  const { cityAliases = {}, serviceAreas = {}, propertyTags = {} } = config;
+
+  for (const [alias, city] of Object.entries(cityAliases)) {
+    if (typeof city !== 'string' || !city.trim()) {
+      throw new Error(`City alias "${alias}" must map to a city name`);
+    }
+  }
+
+  for (const [zip, area] of Object.entries(serviceAreas)) {
+    if (!/^\d{3,5}$/.test(zip)) {
+      throw new Error(`Invalid service area ZIP "${zip}" (expected a 3-5 digit ZIP or ZIP prefix)`);
+    }
+    if (typeof area !== 'string' || !area.trim()) {
+      throw new Error(`Service area for ZIP "${zip}" must be a name`);
+    }
+  }
+
+  if (propertyTags.max !== undefined && !(Number.isInteger(propertyTags.max) && propertyTags.max > 0)) {
+    throw new Error(`Invalid propertyTags.max ${JSON.stringify(propertyTags.max)} (expected a positive integer)`);
+  }
+
+  return config;
+}
+
+/**
+ * Load the address configuration (cached after first load)
+ * @param {string} configPath - Optional path to a configuration JSON file
+ * @returns {object} - Validated configuration
+ */
+export function loadAddressConfig(configPath = null) {
+  if (cachedConfig && !configPath) return cachedConfig;
+
+  const resolvedPath = configPath || process.env.ADDRESS_CONFIG_PATH || DEFAULT_ADDRESS_CONFIG_PATH;
+
+  try {
+    const config = validateAddressConfig(JSON.parse(fs.readFileSync(resolvedPath, 'utf8')));
+    if (!configPath) cachedConfig = config;
+    return config;
+  } catch (error) {
+    throw new Error(`Failed to load address configuration from ${resolvedPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Title-case a word, leaving numbers and ordinals ("400", "1st", "12B") alone
+ * @param {string} word - Word
+ * @returns {string} - Title-cased word
+ */
+function titleCase(word) {
+  if (/\d/.test(word)) return word.toLowerCase().replace(/^(\d+)([a-z])$/, (_, n, letter) => `${n}${letter.toUpperCase()}`);
+
+  return word
+    .toLowerCase()
+    .replace(/(^|[-'])([a-z])/g, (_, separator, letter) => `${separator}${letter.toUpperCase()}`)
+    .replace(/^Mc([a-z])/, (_, letter) => `Mc${letter.toUpperCase()}`);
+}
+
+/**
+ * Standardize a street address
+ * @param {string} street - Street address as entered
+ * @returns {string|null} - Standardized street, or null if empty
+ */
+export function standardizeStreet(street) {
+  if (!street) return null;
+
+  const poBox = String(street).match(/^\s*p\.?\s*o\.?\s*box\s+(\S+)\s*$/i);
+  if (poBox) return `PO Box ${poBox[1].toUpperCase()}`;
+
+  const words = String(street)
+    .replace(/[.,]/g, ' ')
+    .replace(/#\s*/g, '# ')
+    .split(/\s+/)
+    .filter(Boolean);
+  if (words.length === 0) return null;
+
+  // Split off the unit ("Apt 4", "# 12") - everything from the first designator on
+  const unitIndex = words.findIndex((word, i) => i > 0 && UNIT_DESIGNATORS[word.toLowerCase()]);
+  const line = unitIndex === -1 ? words : words.slice(0, unitIndex);
+  const unit = unitIndex === -1 ? [] : words.slice(unitIndex);
+
+  const result = line.map(titleCase);
+  const lower = line.map(word => word.toLowerCase());
+  const nameStart = HOUSE_NUMBER_PATTERN.test(line[0]) ? 1 : 0;
+
+  // Pre-directional ("123 North Main") and post-directional ("123 E 400 South")
+  if (line.length - nameStart > 1 && DIRECTIONALS[lower[nameStart]]) {
+    result[nameStart] = DIRECTIONALS[lower[nameStart]];
+  }
+
+  let suffixIndex = line.length - 1;
+  if (suffixIndex > nameStart + 1 && DIRECTIONALS[lower[suffixIndex]]) {
+    result[suffixIndex] = DIRECTIONALS[lower[suffixIndex]];
+    suffixIndex--;
+  }
+
+  // Street suffix - only the last word, so "Court Street" keeps "Court"
+  if (suffixIndex > nameStart) {
+    const suffix = STREET_SUFFIXES[lower[suffixIndex]] || SUFFIX_ABBREVIATIONS[lower[suffixIndex]];
+    if (suffix) result[suffixIndex] = suffix;
+  }
+
+  if (unit.length > 0) {
+    const designator = UNIT_DESIGNATORS[unit[0].toLowerCase()];
+    result.push(designator, ...unit.slice(1).map(word => word.toUpperCase()));
+  }
+
+  return result.join(' ').replace('# ', '#');
+}
+
+/**
+ * Standardize a city name
+ * @param {string} city - City as entered
+ * @param {object} config - Address configuration (default: loadAddressConfig())
+ * @returns {string|null} - Standardized city, or null if empty
+ */
+export function standardizeCity(city, config = loadAddressConfig()) {
+  if (!city) return null;
+
+  const cleaned = String(city).replace(/[.,]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!cleaned) return null;
+
+  const alias = (config.cityAliases || {})[cleaned.toLowerCase()];
+  if (alias) return alias;
+
+  return cleaned.split(' ').map(titleCase).join(' ');
+}
+
+/**
+ * Standardize a state to its 2-letter code
+ * @param {string} state - State as entered ("Utah", "ut ", "UT")
+ * @returns {string|null} - 2-letter code, the cleaned input if unrecognized (e.g. a province), or null if empty
+ */
+export function standardizeState(state) {
+  if (!state) return null;
+
+  const cleaned = String(state).replace(/\./g, '').replace(/\s+/g, ' ').trim();
+  if (!cleaned) return null;
+
+  const upper = cleaned.toUpperCase();
+  if (STATE_CODES.has(upper) || upper.length === 2) return upper;
+
+  return STATES[cleaned.toLowerCase()] || cleaned;
+}
+
+/**
+ * Standardize a ZIP code
+ * @param {string} zip - ZIP as entered ("84101", "84101-1234", "841011234")
+ * @returns {object} - { zip: '84101' | null, zip4: '1234' | null } (non-US codes are kept as entered)
+ */
+export function standardizeZip(zip) {
+  const digits = String(zip || '').replace(/\D/g, '');
+
+  if (digits.length === 9) return { zip: digits.substring(0, 5), zip4: digits.substring(5) };
+  if (digits.length === 5) return { zip: digits, zip4: null };
+
+  // Not a US ZIP (e.g. a Canadian postal code) - keep it as entered
+  const cleaned = String(zip || '').trim().toUpperCase();
+  return { zip: cleaned || null, zip4: null };
+}
+
+/**
+ * Standardize a Housecall Pro address
+ * @param {object} address - Housecall Pro address { street, street_line_2, city, state, zip }
+ * @param {object} config - Address configuration (default: loadAddressConfig())
+ * @returns {object} - { street, city, state, zip, zip4 }
+ */
+export function standardizeAddress(address, config = loadAddressConfig()) {
+  if (!address) return { street: null, city: null, state: null, zip: null, zip4: null };
+
+  const street = [address.street, address.street_line_2].filter(Boolean).join(' ');
+
+  return {
+    street: standardizeStreet(street),
+    city: standardizeCity(address.city, config),
+    state: standardizeState(address.state),
+    ...standardizeZip(address.zip)
+  };
+}
+
+/**
+ * Get the service area for a ZIP (longest matching ZIP or prefix in the table)
+ * @param {string} zip - 5-digit ZIP
+ * @param {object} config - Address configuration (default: loadAddressConfig())
+ * @returns {string|null} - Area name (e.g. 'Wasatch-Front') or null
+ */
+export function getServiceArea(zip, config = loadAddressConfig()) {
+  if (!zip) return null;
+
+  const areas = config.serviceAreas || {};
+  for (let length = 5; length >= 3; length--) {
+    const area = areas[zip.substring(0, length)];
+    if (area) return area;
+  }
+
+  return null;
+}
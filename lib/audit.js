@@ -0,0 +1,53 @@
+/**
+ * Audit log - Record destructive or policy-driven actions taken on Patch contacts
+ *
+ * Entries are kept in the sync store under `audit:<timestamp>:<id>` so they sort
+ * chronologically and survive across function invocations.
+ */
+
+import crypto from 'crypto';
+import { getStore } from './store.js';
+
+const AUDIT_PREFIX = 'audit:';
+
+/**
+ * Record an audit entry
+ * @param {string} action - What was done (e.g. 'archive_tagged', 'unsubscribed', 'deleted', 'consent_updated')
+ * @param {object} details - Context (hcCustomerId, patchContactId, reason, policy, ...)
+ * @returns {Promise<object>} - Audit entry
+ */
+export async function recordAudit(action, details = {}) {
+  const at = new Date().toISOString();
+  const entry = {
+    id: crypto.randomBytes(4).toString('hex'),
+    action,
+    at,
+    ...details
+  };
+
+  try {
+    await getStore().set(`${AUDIT_PREFIX}${at}:${entry.id}`, entry);
+  } catch (error) {
+    console.warn(`⚠️  Could not record audit entry (${action}):`, error.message);
+  }
+
+  return entry;
+}
+
+/**
+ * List audit entries
+ * @param {object} options - List options
+ * @param {string} options.since - Only entries at or after this ISO timestamp
+ * @returns {Promise<array>} - Audit entries, oldest first
+ */
+export async function listAuditEntries(options = {}) {
+  const { since = null } = options;
+
+  const store = getStore();
+  const keys = (await store.list(AUDIT_PREFIX))
+    .filter(key => !since || key.substring(AUDIT_PREFIX.length) >= since)
+    .sort();
+
+  const entries = await Promise.all(keys.map(key => store.get(key)));
+  return entries.filter(Boolean);
+}
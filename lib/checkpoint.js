@@ -0,0 +1,85 @@
+/**
+ * Checkpoints - Persist bulk sync progress so long runs can be resumed
+ *
+ * Each run writes two files to CHECKPOINT_DIR (default: .data/checkpoints):
+ * - <runId>.json            Progress: last completed batch, results, per-customer outcomes
+ * - <runId>.customers.json  The Housecall Pro customers fetched for the run
+ *   (so a resumed run doesn't have to re-fetch every page)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_CHECKPOINT_DIR = '.data/checkpoints';
+
+const getCheckpointDir = () => path.resolve(process.env.CHECKPOINT_DIR || DEFAULT_CHECKPOINT_DIR);
+
+const checkpointPath = (runId) => path.join(getCheckpointDir(), `${runId}.json`);
+const customersPath = (runId) => path.join(getCheckpointDir(), `${runId}.customers.json`);
+
+/**
+ * Write JSON atomically (temp file + rename) so a crash never corrupts a checkpoint
+ * @param {string} filePath - Destination path
+ * @param {object} data - Data to write
+ */
+function writeJsonAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Generate a run ID from the current time (e.g. 20250301-142530)
+ * @returns {string} - Run ID
+ */
+export function createRunId() {
+  return new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+/**
+ * Save a run checkpoint
+ * @param {object} checkpoint - Checkpoint data (must include runId)
+ */
+export function saveCheckpoint(checkpoint) {
+  writeJsonAtomic(checkpointPath(checkpoint.runId), {
+    ...checkpoint,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Load a run checkpoint
+ * @param {string} runId - Run ID
+ * @returns {object} - Checkpoint data
+ */
+export function loadCheckpoint(runId) {
+  try {
+    return JSON.parse(fs.readFileSync(checkpointPath(runId), 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load checkpoint for run ${runId}: ${error.message}`);
+  }
+}
+
+/**
+ * Save the customers fetched for a run
+ * @param {string} runId - Run ID
+ * @param {array} customers - Housecall Pro customers
+ */
+export function saveRunCustomers(runId, customers) {
+  writeJsonAtomic(customersPath(runId), customers);
+}
+
+/**
+ * Load the customers fetched for a run
+ * @param {string} runId - Run ID
+ * @returns {array} - Housecall Pro customers
+ */
+export function loadRunCustomers(runId) {
+  try {
+    return JSON.parse(fs.readFileSync(customersPath(runId), 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load customers for run ${runId}: ${error.message}`);
+  }
+}
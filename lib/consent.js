@@ -0,0 +1,185 @@
+/**
+ * Consent - Map Housecall Pro notification settings to Patch SMS/email subscriptions
+ *
+ * Housecall Pro flags, in order of precedence:
+ * - do_not_service: true            → unsubscribed from SMS and email
+ * - notifications_enabled: false    → unsubscribed from SMS and email
+ * - marketing_opt_in: false         → unsubscribed from SMS and email
+ * - marketing_opt_in: true          → subscribed (email only if the customer has one)
+ * - none of the above               → unknown
+ *
+ * notifications_enabled only covers transactional messages (appointment reminders),
+ * so it is never read as marketing consent (TCPA). New contacts with unknown consent
+ * are created unsubscribed from SMS; existing contacts keep their Patch status.
+ *
+ * A contact that is unsubscribed in Patch is never re-subscribed by the sync - only
+ * the contact can opt back in. Every subscription change is recorded in the audit
+ * log with its source and timestamp.
+ *
+ * The SMS default on new contacts is not the contact's choice, so it is marked in
+ * the store (`consent:default-sms:<contact id>`): a later Housecall Pro opt-in may
+ * replace it. The marker goes away with any real consent change or Patch opt-out.
+ */
+
+import { recordAudit } from './audit.js';
+import { getStore } from './store.js';
+
+export const CONSENT_FIELDS = ['sms_subscribed', 'email_subscribed'];
+
+// Audit source for the SMS default on new contacts without consent
+const NO_CONSENT_SOURCE = 'default:no_sms_consent';
+
+// Contacts whose sms_subscribed: false is the sync's default, not an opt-out
+const DEFAULT_SMS_PREFIX = 'consent:default-sms:';
+
+/**
+ * Read a Housecall Pro customer's consent
+ * @param {object} customer - Housecall Pro customer
+ * @returns {object} - { sms: boolean|null, email: boolean|null, source: string|null } (null = unknown)
+ */
+export function getHousecallConsent(customer) {
+  const optOut = (source) => ({ sms: false, email: false, source });
+
+  if (customer.do_not_service === true) return optOut('housecallpro:do_not_service');
+  if (customer.notifications_enabled === false) return optOut('housecallpro:notifications_disabled');
+  if (customer.marketing_opt_in === false) return optOut('housecallpro:marketing_opt_out');
+
+  if (customer.marketing_opt_in === true) {
+    return {
+      sms: true,
+      email: customer.email ? true : null,
+      source: 'housecallpro:marketing_opt_in'
+    };
+  }
+
+  return { sms: null, email: null, source: null };
+}
+
+/**
+ * Build the Patch subscription fields for a customer
+ * @param {object} customer - Housecall Pro customer
+ * @returns {object} - { sms_subscribed, email_subscribed } (null = leave unchanged)
+ */
+export function buildConsentFields(customer) {
+  const consent = getHousecallConsent(customer);
+  return { sms_subscribed: consent.sms, email_subscribed: consent.email };
+}
+
+/**
+ * Check if a Patch contact explicitly unsubscribed (STOP or unsubscribe link)
+ * @param {object} contact - Patch contact
+ * @returns {boolean} - True if explicitly unsubscribed
+ */
+function isExplicitlyUnsubscribed(contact) {
+  return contact.unsubscribed === true || contact.status === 'unsubscribed';
+}
+
+/**
+ * Check if a Patch contact is unsubscribed from a channel
+ * @param {object} contact - Patch contact
+ * @param {string} field - 'sms_subscribed' | 'email_subscribed'
+ * @param {boolean} smsDefault - Whether sms_subscribed: false is the sync's own default
+ * @returns {boolean} - True if unsubscribed
+ */
+function isUnsubscribed(contact, field, smsDefault = false) {
+  if (contact.unsubscribed === true) return true;
+  if (field === 'sms_subscribed') {
+    return contact.status === 'unsubscribed' || (contact[field] === false && !smsDefault);
+  }
+  return contact[field] === false;
+}
+
+/**
+ * Check if a contact's SMS unsubscribe is the sync's default for new contacts
+ * @param {object} contact - Patch contact
+ * @returns {Promise<boolean>} - True if the sync set sms_subscribed: false itself
+ */
+export async function isDefaultSmsConsent(contact) {
+  if (!contact?._id || contact.sms_subscribed !== false || isExplicitlyUnsubscribed(contact)) return false;
+
+  try {
+    return Boolean(await getStore().get(`${DEFAULT_SMS_PREFIX}${contact._id}`));
+  } catch (error) {
+    console.warn(`⚠️  Could not read SMS consent default for contact ${contact._id}:`, error.message);
+    return false; // Treat as an opt-out - never risk re-subscribing
+  }
+}
+
+/**
+ * Forget that a contact's SMS status was the sync's default (a real choice was made)
+ * @param {string} contactId - Patch contact ID
+ */
+export async function clearDefaultSmsConsent(contactId) {
+  try {
+    await getStore().delete(`${DEFAULT_SMS_PREFIX}${contactId}`);
+  } catch (error) {
+    console.warn(`⚠️  Could not clear SMS consent default for contact ${contactId}:`, error.message);
+  }
+}
+
+/**
+ * Drop subscription fields that would re-subscribe an unsubscribed Patch contact
+ * @param {object} patchData - Contact payload transformed from Housecall Pro
+ * @param {object|null} existingContact - Existing Patch contact (or null for a create)
+ * @param {object} options - Options
+ * @param {boolean} options.smsDefault - sms_subscribed: false was set by the sync (see isDefaultSmsConsent()),
+ *   so a Housecall Pro opt-in may replace it
+ * @returns {object} - Payload without re-subscribes
+ */
+export function preserveOptOuts(patchData, existingContact, options = {}) {
+  if (!existingContact) return patchData;
+
+  const { smsDefault = false } = options;
+  const result = { ...patchData };
+  CONSENT_FIELDS.forEach(field => {
+    if (result[field] === true && isUnsubscribed(existingContact, field, smsDefault)) {
+      delete result[field];
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Create new contacts unsubscribed from SMS unless the customer opted in
+ * Without this Patch's default applies, and everyone with a phone gets texted.
+ * @param {object} patchData - Contact payload for a new Patch contact
+ * @returns {object} - Payload with sms_subscribed set
+ */
+export function applyNewContactConsent(patchData) {
+  if (typeof patchData.sms_subscribed === 'boolean') return patchData;
+  return { ...patchData, sms_subscribed: false };
+}
+
+/**
+ * Record subscription changes written to Patch in the audit log
+ * Also marks (or unmarks) the contact's SMS status as the sync's default.
+ * @param {object} customer - Housecall Pro customer
+ * @param {string} contactId - Patch contact ID
+ * @param {object} payload - Payload written to Patch
+ * @returns {Promise<object|null>} - Audit entry, or null if no subscription changed
+ */
+export async function recordConsentChange(customer, contactId, payload) {
+  const changes = CONSENT_FIELDS.filter(field => typeof payload[field] === 'boolean');
+  if (changes.length === 0) return null;
+
+  const details = {
+    hcCustomerId: customer.id,
+    patchContactId: contactId,
+    source: getHousecallConsent(customer).source || NO_CONSENT_SOURCE
+  };
+  changes.forEach(field => {
+    details[field] = payload[field];
+  });
+
+  if (typeof payload.sms_subscribed === 'boolean') {
+    if (details.source === NO_CONSENT_SOURCE) {
+      await getStore().set(`${DEFAULT_SMS_PREFIX}${contactId}`, { hcCustomerId: customer.id, at: new Date().toISOString() })
+        .catch(error => console.warn(`⚠️  Could not mark SMS consent default for contact ${contactId}:`, error.message));
+    } else {
+      await clearDefaultSmsConsent(contactId);
+    }
+  }
+
+  return recordAudit('consent_updated', details);
+}
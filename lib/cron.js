@@ -0,0 +1,59 @@
+/**
+ * Scheduled job helpers - Authorization and time budgets for Vercel cron endpoints
+ */
+
+import crypto from 'crypto';
+
+// Leave headroom below the function's maxDuration (vercel.json) to write state
+const DEFAULT_TIME_BUDGET_MS = 7000;
+
+/**
+ * Check that a request comes from Vercel Cron (or an operator holding the secret)
+ * Vercel sends `Authorization: Bearer <CRON_SECRET>` when CRON_SECRET is set.
+ * @param {object} req - Incoming HTTP request
+ * @returns {object} - { authorized: boolean, reason: string|null }
+ */
+export function authorizeCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return { authorized: false, reason: 'secret_not_configured' };
+  }
+
+  const header = req.headers?.authorization || '';
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(header);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { authorized: false, reason: 'invalid_secret' };
+  }
+
+  return { authorized: true, reason: null };
+}
+
+/**
+ * Reject unauthorized cron requests
+ * @param {object} req - Incoming HTTP request
+ * @param {object} res - HTTP response
+ * @returns {boolean} - True if the request was rejected (response already sent)
+ */
+export function rejectUnauthorizedCron(req, res) {
+  const { authorized, reason } = authorizeCronRequest(req);
+  if (authorized) return false;
+
+  if (reason === 'secret_not_configured') {
+    console.error('❌ CRON_SECRET not configured - rejecting scheduled request');
+    res.status(500).json({ success: false, error: 'CRON_SECRET not configured' });
+  } else {
+    res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+  return true;
+}
+
+/**
+ * Calculate the deadline for work in this invocation
+ * @param {number} budgetMs - Time budget in milliseconds (default: 7 seconds)
+ * @returns {number} - Deadline as a ms timestamp
+ */
+export function getDeadline(budgetMs = DEFAULT_TIME_BUDGET_MS) {
+  return Date.now() + budgetMs;
+}
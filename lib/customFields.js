@@ -0,0 +1,205 @@
+/**
+ * Custom fields - Map Housecall Pro data to Patch Retention custom fields
+ *
+ * The mapping lives in config/customFields.json (override with CUSTOM_FIELDS_PATH):
+ *
+ *   {
+ *     "enabled": true,
+ *     "fields": {
+ *       "<patch field key>": { "name", "type": "text|number|date", "source", "tag" }
+ *     }
+ *   }
+ *
+ * `source` is one of CUSTOM_FIELD_SOURCES; `tag` is the tag namespace that held the
+ * value before custom fields existed (used by scripts/migrateCustomFields.js).
+ * The namespaced tags are still written alongside the fields - segments and the
+ * reverse sync (HCID:) rely on them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getCustomFields, createCustomField } from './patchApi.js';
+
+const DEFAULT_CUSTOM_FIELDS_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'customFields.json');
+
+export const CUSTOM_FIELD_SOURCES = [
+  'customerId',
+  'zip',
+  'state',
+  'company',
+  'lastServiceDate',
+  'lifetimeValue',
+  'mobilePhone',
+  'homePhone',
+  'workPhone'
+];
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date'];
+
+let cachedMapping = null;
+
+/**
+ * Validate a custom field mapping
+ * @param {object} mapping - Parsed mapping
+ * @returns {object} - The same mapping
+ * @throws {Error} - If a field is malformed
+ */
+export function validateCustomFieldMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object' || !mapping.fields || typeof mapping.fields !== 'object') {
+    throw new Error('Custom field mapping must have a "fields" object');
+  }
+
+  for (const [key, field] of Object.entries(mapping.fields)) {
+    if (!field.name) {
+      throw new Error(`Custom field "${key}" is missing a name`);
+    }
+    if (!CUSTOM_FIELD_TYPES.includes(field.type)) {
+      throw new Error(`Invalid type "${field.type}" for custom field "${key}" (expected one of: ${CUSTOM_FIELD_TYPES.join(', ')})`);
+    }
+    if (!CUSTOM_FIELD_SOURCES.includes(field.source)) {
+      throw new Error(`Invalid source "${field.source}" for custom field "${key}" (expected one of: ${CUSTOM_FIELD_SOURCES.join(', ')})`);
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Load the custom field mapping (cached after first load)
+ * @param {string} mappingPath - Optional path to a mapping JSON file
+ * @returns {object} - Validated mapping
+ */
+export function loadCustomFieldMapping(mappingPath = null) {
+  if (cachedMapping && !mappingPath) return cachedMapping;
+
+  const resolvedPath = mappingPath || process.env.CUSTOM_FIELDS_PATH || DEFAULT_CUSTOM_FIELDS_PATH;
+
+  try {
+    const mapping = validateCustomFieldMapping(JSON.parse(fs.readFileSync(resolvedPath, 'utf8')));
+    if (!mappingPath) cachedMapping = mapping;
+    return mapping;
+  } catch (error) {
+    throw new Error(`Failed to load custom field mapping from ${resolvedPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Format a value for a custom field type
+ * @param {string} type - 'text' | 'number' | 'date'
+ * @param {*} value - Raw value (numbers may be tag-formatted, e.g. "$612.50")
+ * @returns {string|number|null} - Field value, or null if empty/invalid
+ */
+export function formatFieldValue(type, value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  switch (type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).replace(/[$,]/g, ''));
+      return Number.isFinite(number) ? number : null;
+    }
+
+    case 'date': {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0]; // YYYY-MM-DD
+    }
+
+    case 'text':
+    default:
+      return String(value).trim() || null;
+  }
+}
+
+/**
+ * Check whether two values of a custom field are the same once formatted for its type
+ * Patch may return a number field as "612.50" or a date with a time - neither is a change.
+ * @param {string} key - Patch custom field key
+ * @param {*} proposed - Value we would write
+ * @param {*} current - Value stored in Patch
+ * @param {object} mapping - Custom field mapping (default: loadCustomFieldMapping())
+ * @returns {boolean} - True if the values are equivalent
+ */
+export function isSameFieldValue(key, proposed, current, mapping = loadCustomFieldMapping()) {
+  const type = mapping.fields[key]?.type || 'text';
+  return formatFieldValue(type, proposed) === formatFieldValue(type, current);
+}
+
+/**
+ * Build the custom_fields payload for a Patch contact
+ * Sources missing from `values` are left out, so a sync that didn't fetch job
+ * history doesn't clear the job fields.
+ * @param {object} values - Source values ({ customerId, zip, state, company, lastServiceDate, lifetimeValue, ...phones })
+ * @param {object} options - Build options
+ * @param {object} options.mapping - Custom field mapping (default: loadCustomFieldMapping())
+ * @param {boolean} options.force - Build even when the mapping is disabled (migration)
+ * @returns {object|null} - { <field key>: value }, or null if disabled or empty
+ */
+export function buildCustomFields(values, options = {}) {
+  const { mapping = loadCustomFieldMapping(), force = false } = options;
+  if (!mapping.enabled && !force) return null;
+
+  const fields = {};
+
+  for (const [key, field] of Object.entries(mapping.fields)) {
+    const value = formatFieldValue(field.type, values[field.source]);
+    if (value !== null) {
+      fields[key] = value;
+    }
+  }
+
+  return Object.keys(fields).length > 0 ? fields : null;
+}
+
+/**
+ * Read source values from tag-encoded data (e.g. ZIP:84101 → { zip: '84101' })
+ * @param {array} tags - Patch contact tags
+ * @param {object} mapping - Custom field mapping (default: loadCustomFieldMapping())
+ * @returns {object} - Source values found in the tags
+ */
+export function getTagValues(tags = [], mapping = loadCustomFieldMapping()) {
+  const values = {};
+
+  Object.values(mapping.fields)
+    .filter(field => field.tag)
+    .forEach(field => {
+      const tag = tags.find(t => String(t).startsWith(`${field.tag}:`));
+      if (tag) {
+        values[field.source] = tag.substring(field.tag.length + 1);
+      }
+    });
+
+  return values;
+}
+
+/**
+ * Make sure every mapped custom field exists in Patch
+ * @param {object} options - Options
+ * @param {object} options.mapping - Custom field mapping (default: loadCustomFieldMapping())
+ * @param {boolean} options.dryRun - Report missing fields without creating them
+ * @returns {Promise<object>} - { existing: [keys], created: [keys], missing: [keys] }
+ */
+export async function ensureCustomFields(options = {}) {
+  const { mapping = loadCustomFieldMapping(), dryRun = false } = options;
+
+  try {
+    const definitions = await getCustomFields();
+    const existingKeys = new Set(definitions.map(definition => definition.key));
+
+    const result = { existing: [], created: [], missing: [] };
+
+    for (const [key, field] of Object.entries(mapping.fields)) {
+      if (existingKeys.has(key)) {
+        result.existing.push(key);
+      } else if (dryRun) {
+        result.missing.push(key);
+      } else {
+        await createCustomField({ key, name: field.name, type: field.type });
+        result.created.push(key);
+      }
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Error ensuring custom fields:', error.message);
+    throw new Error(`Failed to set up custom fields: ${error.message}`);
+  }
+}
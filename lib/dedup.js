@@ -1,40 +1,234 @@
 /**
  * Deduplication logic - Find existing contacts in Patch Retention
+ *
+ * Matching order:
+ * 1. Stored Housecall Pro customer ID → Patch contact ID mapping
+ * 2. Multi-signal scoring (every phone number, email, name, street + ZIP)
+ *    - confidence >= MATCH_AUTO_THRESHOLD → treated as the same contact
+ *    - confidence >= MATCH_REVIEW_THRESHOLD, or two close candidates → flagged for review
  */
 
-import { getAllContacts } from './patchApi.js';
+import { getAllContacts, getContactById } from './patchApi.js';
+import { getPatchContactId, removeMapping } from './idMap.js';
+import { toE164, getCustomerPhones } from './phone.js';
+import { standardizeStreet } from './address.js';
 
 // Cache for contacts (to avoid fetching all contacts repeatedly)
 let contactsCache = null;
 let cacheTimestamp = null;
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
+// Match signal weights (confidence is capped at 100)
+const MATCH_WEIGHTS = {
+  phone: 60,
+  email: 55,
+  name: 20,
+  partialName: 10,
+  address: 30,
+  zip: 5
+};
+
+// Two auto-match candidates closer than this are ambiguous
+const AMBIGUITY_MARGIN = 10;
+
+const getThreshold = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
 /**
  * Normalize phone number for comparison
- * Removes spaces, dashes, parentheses, and leading +1
  * @param {string} phone - Phone number
- * @returns {string} - Normalized phone number (digits only)
+ * @returns {string} - E.164 number, or '' if the number can't be parsed
  */
 export function normalizePhone(phone) {
-  if (!phone) return '';
+  return toE164(phone) || '';
+}
+
+/**
+ * Normalize email for comparison (trimmed, lowercased)
+ * @param {string} email - Email address
+ * @returns {string} - Normalized email
+ */
+export function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : '';
+}
+
+/**
+ * Normalize a name for comparison (lowercased letters and spaces only)
+ * @param {string} first - First name
+ * @param {string} last - Last name
+ * @returns {string} - Normalized full name
+ */
+export function normalizeName(first, last) {
+  return `${first || ''} ${last || ''}`
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize a street address for comparison
+ * Standardized first, so "123 North Main Street" and "123 N Main St" compare equal
+ * @param {string} street - Street address
+ * @returns {string} - Normalized street (lowercased alphanumerics)
+ */
+export function normalizeStreet(street) {
+  const standardized = standardizeStreet(street);
+  return standardized ? standardized.toLowerCase().replace(/[^a-z0-9]/g, '') : '';
+}
 
-  // Remove all non-digit characters
-  let normalized = phone.replace(/\D/g, '');
+/**
+ * Get the 5-digit ZIP of a Patch contact (field, or `ZIP:` tag)
+ * @param {object} contact - Patch contact
+ * @returns {string} - ZIP code or ''
+ */
+export function getContactZip(contact) {
+  const zipTag = (contact.tags || []).find(tag => String(tag).startsWith('ZIP:'));
+  const zip = contact.zip || (zipTag ? zipTag.substring(4) : '');
+  return String(zip).substring(0, 5);
+}
+
+/**
+ * Get every phone number on a Patch contact
+ * @param {object} contact - Patch contact
+ * @returns {array} - Normalized phone numbers
+ */
+export function getContactPhones(contact) {
+  const phones = [contact.phone, contact.secondary_phone, ...(contact.phones || [])]
+    .map(normalizePhone)
+    .filter(Boolean);
+
+  return [...new Set(phones)];
+}
 
-  // Remove leading '1' if it's a US number (11 digits starting with 1)
-  if (normalized.length === 11 && normalized.startsWith('1')) {
-    normalized = normalized.substring(1);
+/**
+ * Get the match signals for a Housecall Pro customer
+ * @param {object} customer - Housecall Pro customer
+ * @param {object} patchData - Transformed Patch payload (for city/street/zip)
+ * @returns {object} - { phones, email, name, street, zip }
+ */
+function getCustomerSignals(customer, patchData = {}) {
+  const phones = [
+    ...getCustomerPhones(customer).map(phone => phone.e164),
+    normalizePhone(patchData.phone)
+  ].filter(Boolean);
+
+  const address = (customer.addresses || []).find(addr => addr.type === 'service') ||
+    (customer.addresses || [])[0] || {};
+
+  return {
+    phones: [...new Set(phones)],
+    email: normalizeEmail(customer.email || patchData.email),
+    name: normalizeName(customer.first_name, customer.last_name),
+    lastName: normalizeName('', customer.last_name),
+    street: normalizeStreet(address.street || patchData.address),
+    zip: String(address.zip || '').substring(0, 5)
+  };
+}
+
+/**
+ * Similarity between two strings (Dice coefficient on character bigrams)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - 0 (different) to 1 (identical)
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const bigrams = (text) => {
+    const result = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const bigram = text.substring(i, i + 2);
+      result.set(bigram, (result.get(bigram) || 0) + 1);
+    }
+    return result;
+  };
+
+  const aBigrams = bigrams(a);
+  const bBigrams = bigrams(b);
+  let overlap = 0;
+
+  for (const [bigram, count] of aBigrams) {
+    overlap += Math.min(count, bBigrams.get(bigram) || 0);
   }
 
-  return normalized;
+  return (2 * overlap) / (a.length - 1 + b.length - 1);
 }
 
 /**
- * Build a phone number lookup map from Patch contacts
+ * Add a contact to a lookup index
+ * @param {object} index - Contact index from buildContactIndex()
+ * @param {object} contact - Patch contact
+ */
+export function indexContact(index, contact) {
+  if (!contact) return;
+
+  const add = (map, key) => {
+    if (!key) return;
+    const list = map.get(key) || [];
+    if (!list.includes(contact)) list.push(contact);
+    map.set(key, list);
+  };
+
+  if (contact._id) {
+    index.byId.set(contact._id, contact);
+  }
+
+  index.contacts.push(contact);
+  getContactPhones(contact).forEach(phone => add(index.byPhone, phone));
+  add(index.byEmail, normalizeEmail(contact.email));
+  add(index.byZip, getContactZip(contact));
+}
+
+/**
+ * Add a newly created contact to the given index, or the cached index
+ * so later customers in the same run (or warm function instance) match it
+ * @param {object} contact - Patch contact
+ * @param {object} contactIndex - Optional index from buildContactIndex()
+ */
+export function addToContactIndex(contact, contactIndex = null) {
+  const index = contactIndex || contactsCache;
+  if (index) {
+    indexContact(index, contact);
+  }
+}
+
+/**
+ * Remove a deleted contact from the given index, or the cached index
+ * so later customers in the same run (or warm function instance) don't match it
+ * @param {object} contact - Patch contact
+ * @param {object} contactIndex - Optional index from buildContactIndex()
+ */
+export function removeFromContactIndex(contact, contactIndex = null) {
+  const index = contactIndex || contactsCache;
+  if (!index || !contact) return;
+
+  const isContact = (candidate) => candidate === contact || (contact._id && candidate._id === contact._id);
+
+  if (contact._id) {
+    index.byId.delete(contact._id);
+  }
+
+  index.contacts = index.contacts.filter(candidate => !isContact(candidate));
+
+  [index.byPhone, index.byEmail, index.byZip].forEach(map => {
+    for (const [key, list] of map) {
+      const remaining = list.filter(candidate => !isContact(candidate));
+      if (remaining.length === 0) map.delete(key);
+      else if (remaining.length !== list.length) map.set(key, remaining);
+    }
+  });
+}
+
+/**
+ * Build a lookup index over all Patch contacts
  * @param {boolean} forceRefresh - Force refresh cache (default: false)
- * @returns {Promise<Map>} - Map of normalized phone -> contact object
+ * @returns {Promise<object>} - { contacts, byId, byPhone, byEmail, byZip } (Maps of key → contacts)
  */
-export async function buildPhoneLookup(forceRefresh = false) {
+export async function buildContactIndex(forceRefresh = false) {
   try {
     // Check cache
     const now = Date.now();
@@ -48,37 +242,195 @@ export async function buildPhoneLookup(forceRefresh = false) {
       return contactsCache;
     }
 
-    console.log('Building phone number lookup from Patch Retention...');
+    console.log('Building contact lookup from Patch Retention...');
 
     // Fetch all contacts from Patch
     const contacts = await getAllContacts();
 
-    // Build lookup map: normalized phone -> contact
-    const phoneLookup = new Map();
+    const index = {
+      contacts: [],
+      byId: new Map(),
+      byPhone: new Map(),
+      byEmail: new Map(),
+      byZip: new Map()
+    };
 
-    contacts.forEach(contact => {
-      if (contact.phone) {
-        const normalizedPhone = normalizePhone(contact.phone);
-        if (normalizedPhone) {
-          // Store contact with normalized phone as key
-          phoneLookup.set(normalizedPhone, contact);
-        }
-      }
-    });
+    contacts.forEach(contact => indexContact(index, contact));
 
-    console.log(`Built lookup with ${phoneLookup.size} phone numbers from ${contacts.length} total contacts`);
+    console.log(`Built lookup with ${index.byPhone.size} phone numbers and ${index.byEmail.size} emails from ${contacts.length} total contacts`);
 
     // Update cache
-    contactsCache = phoneLookup;
+    contactsCache = index;
     cacheTimestamp = now;
 
-    return phoneLookup;
+    return index;
   } catch (error) {
-    console.error('Error building phone lookup:', error.message);
+    console.error('Error building contact lookup:', error.message);
     throw error;
   }
 }
 
+/**
+ * Build a phone number lookup map from Patch contacts
+ * @param {boolean} forceRefresh - Force refresh cache (default: false)
+ * @returns {Promise<Map>} - Map of normalized phone -> contact object
+ */
+export async function buildPhoneLookup(forceRefresh = false) {
+  const index = await buildContactIndex(forceRefresh);
+
+  const phoneLookup = new Map();
+  for (const [phone, contacts] of index.byPhone) {
+    phoneLookup.set(phone, contacts[contacts.length - 1]);
+  }
+
+  return phoneLookup;
+}
+
+/**
+ * Score how likely a Patch contact is the same person as a Housecall Pro customer
+ * @param {object} signals - Customer signals from getCustomerSignals()
+ * @param {object} contact - Candidate Patch contact
+ * @returns {object} - { contact, confidence (0-100), reasons: [] }
+ */
+function scoreCandidate(signals, contact) {
+  let confidence = 0;
+  const reasons = [];
+
+  const contactPhones = getContactPhones(contact);
+  if (signals.phones.some(phone => contactPhones.includes(phone))) {
+    confidence += MATCH_WEIGHTS.phone;
+    reasons.push('phone');
+  }
+
+  if (signals.email && signals.email === normalizeEmail(contact.email)) {
+    confidence += MATCH_WEIGHTS.email;
+    reasons.push('email');
+  }
+
+  const nameScore = similarity(signals.name, normalizeName(contact.first_name, contact.last_name));
+  if (nameScore === 1) {
+    confidence += MATCH_WEIGHTS.name;
+    reasons.push('name');
+  } else if (nameScore >= 0.8 || (signals.lastName && signals.lastName === normalizeName('', contact.last_name))) {
+    confidence += MATCH_WEIGHTS.partialName;
+    reasons.push('similar_name');
+  }
+
+  const zip = getContactZip(contact);
+  if (signals.zip && signals.zip === zip) {
+    if (signals.street && signals.street === normalizeStreet(contact.address || contact.street)) {
+      confidence += MATCH_WEIGHTS.address;
+      reasons.push('address');
+    } else {
+      confidence += MATCH_WEIGHTS.zip;
+      reasons.push('zip');
+    }
+  }
+
+  return { contact, confidence: Math.min(confidence, 100), reasons };
+}
+
+/**
+ * Find the best matching Patch contact for a Housecall Pro customer
+ * @param {object} customer - Housecall Pro customer
+ * @param {object} patchData - Transformed Patch payload
+ * @param {object} contactIndex - Optional pre-built index from buildContactIndex()
+ * @returns {Promise<object>} - { status: 'match'|'review'|'none', contact, confidence, reasons, candidates }
+ */
+export async function findBestMatch(customer, patchData = {}, contactIndex = null) {
+  const autoThreshold = getThreshold('MATCH_AUTO_THRESHOLD', 60);
+  const reviewThreshold = getThreshold('MATCH_REVIEW_THRESHOLD', 40);
+  const noMatch = { status: 'none', contact: null, confidence: 0, reasons: [], candidates: [] };
+
+  try {
+    const index = contactIndex || await buildContactIndex();
+    const signals = getCustomerSignals(customer, patchData);
+
+    // Gather candidates sharing at least one signal
+    const candidates = new Set();
+    signals.phones.forEach(phone => (index.byPhone.get(phone) || []).forEach(c => candidates.add(c)));
+    (index.byEmail.get(signals.email) || []).forEach(c => candidates.add(c));
+    (index.byZip.get(signals.zip) || []).forEach(c => candidates.add(c));
+
+    const scored = [...candidates]
+      .map(contact => scoreCandidate(signals, contact))
+      .filter(candidate => candidate.confidence >= reviewThreshold)
+      .sort((a, b) => b.confidence - a.confidence);
+
+    if (scored.length === 0) {
+      return noMatch;
+    }
+
+    const [best, runnerUp] = scored;
+    const ambiguous = runnerUp && best.confidence - runnerUp.confidence < AMBIGUITY_MARGIN;
+    const status = best.confidence >= autoThreshold && !ambiguous ? 'match' : 'review';
+
+    const summary = scored.slice(0, 3).map(candidate => ({
+      contactId: candidate.contact._id,
+      name: `${candidate.contact.first_name || ''} ${candidate.contact.last_name || ''}`.trim(),
+      confidence: candidate.confidence,
+      reasons: candidate.reasons
+    }));
+
+    console.log(`${status === 'match' ? 'Found' : 'Possible'} match for ${customer.first_name} ${customer.last_name}: ${summary[0].name} (${best.confidence}%, ${best.reasons.join('+')})`);
+
+    return {
+      status,
+      contact: status === 'match' ? best.contact : null,
+      confidence: best.confidence,
+      reasons: best.reasons,
+      candidates: summary
+    };
+  } catch (error) {
+    console.error('Error finding matching contact:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find existing contact in Patch by stored Housecall Pro customer ID mapping
+ * Checked before scoring so identity survives phone/email changes
+ * @param {string} hcCustomerId - Housecall Pro customer ID
+ * @param {object} contactIndex - Optional pre-built index from buildContactIndex()
+ * @returns {Promise<object|null>} - Mapped contact or null
+ */
+export async function findContactByCustomerId(hcCustomerId, contactIndex = null) {
+  if (!hcCustomerId) {
+    return null;
+  }
+
+  try {
+    const patchContactId = await getPatchContactId(hcCustomerId);
+    if (!patchContactId) {
+      return null;
+    }
+
+    // Prefer the pre-built index to avoid an API call per customer
+    if (contactIndex && contactIndex.byId.has(patchContactId)) {
+      return contactIndex.byId.get(patchContactId);
+    }
+
+    try {
+      const contact = await getContactById(patchContactId);
+      if (contact) {
+        console.log(`Found mapped contact for customer ${hcCustomerId}: ${contact.first_name} ${contact.last_name}`);
+        return contact;
+      }
+    } catch (error) {
+      if (error.status !== 404) throw error;
+
+      // Contact no longer exists in Patch - drop the stale mapping
+      console.warn(`Mapped contact ${patchContactId} no longer exists, removing mapping`);
+      await removeMapping(hcCustomerId);
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Error finding contact by customer ID:', error.message);
+    return null; // Fall back to matching
+  }
+}
+
 /**
  * Find existing contact in Patch by phone number
  * @param {string} phone - Phone number to search for
@@ -129,7 +481,7 @@ export async function findContactByEmail(email, phoneLookup = null) {
 
     // Search through all contacts for matching email
     for (const contact of lookup.values()) {
-      if (contact.email && contact.email.toLowerCase() === email.toLowerCase()) {
+      if (contact.email && normalizeEmail(contact.email) === normalizeEmail(email)) {
         console.log(`Found existing contact for email ${email}: ${contact.first_name} ${contact.last_name}`);
         return contact;
       }
@@ -0,0 +1,82 @@
+/**
+ * Echo guard - Loop prevention for two-way sync
+ *
+ * Every write we make to one system comes back as a webhook from that system
+ * (Patch → HC write fires a Housecall Pro customer.updated, and vice versa).
+ * Before writing, the fields we send are recorded here; an incoming event whose
+ * record still carries exactly those values is our own echo and is ignored.
+ */
+
+import { getStore } from './store.js';
+
+const ECHO_PREFIX = 'echo:';
+const DEFAULT_ECHO_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Compare a written value with the value on an incoming record
+ * @param {*} written - Value we wrote
+ * @param {*} current - Value on the incoming record
+ * @returns {boolean} - True if the incoming record still has our value
+ */
+function sameValue(written, current) {
+  if (Array.isArray(written)) {
+    const currentValues = new Set(Array.isArray(current) ? current : []);
+    return written.every(value => currentValues.has(value));
+  }
+  if (written && typeof written === 'object') {
+    return Object.entries(written).every(([key, value]) => sameValue(value, current?.[key]));
+  }
+  return String(written ?? '') === String(current ?? '');
+}
+
+/**
+ * Record a write we are about to make to a system
+ * @param {string} system - 'patch' | 'housecall'
+ * @param {string} id - Record ID in that system
+ * @param {object} fields - Fields being written
+ * @param {number} ttlMs - How long to watch for the echo (default: 10 minutes)
+ */
+export async function recordWrite(system, id, fields, ttlMs = DEFAULT_ECHO_TTL_MS) {
+  if (!id) return;
+
+  try {
+    await getStore().set(`${ECHO_PREFIX}${system}:${id}`, {
+      fields,
+      expiresAt: new Date(Date.now() + ttlMs).toISOString()
+    });
+  } catch (error) {
+    console.warn(`⚠️  Could not record ${system} write for ${id}:`, error.message);
+  }
+}
+
+/**
+ * Check if an incoming event is the echo of our own write
+ * The marker is consumed on a match, so later real edits are synced normally.
+ * @param {string} system - System the event came from ('patch' | 'housecall')
+ * @param {string} id - Record ID in that system
+ * @param {object} record - Record from the incoming event
+ * @returns {Promise<boolean>} - True if the event should be ignored
+ */
+export async function isEcho(system, id, record) {
+  if (!id || !record) return false;
+
+  const store = getStore();
+  const key = `${ECHO_PREFIX}${system}:${id}`;
+  const entry = await store.get(key);
+
+  if (!entry) return false;
+
+  if (new Date(entry.expiresAt) < new Date()) {
+    await store.delete(key);
+    return false;
+  }
+
+  const echoed = Object.entries(entry.fields)
+    .every(([field, value]) => sameValue(value, record[field]));
+
+  if (echoed) {
+    await store.delete(key);
+  }
+
+  return echoed;
+}
@@ -0,0 +1,336 @@
+/**
+ * Field mapping - Configurable Housecall Pro → Patch contact fields and tag templates
+ *
+ * The mapping lives in config/fieldMapping.json (override with FIELD_MAPPING_PATH):
+ *
+ *   {
+ *     "fields": {
+ *       "<patch field>": { "source": "customer.first_name", "transforms": ["trim"] },
+ *       "<patch field>": { "template": "{{customer.company}} ({{address.city}})" }
+ *     },
+ *     "tags": ["Source:housecallpro", "City:{{address.city | lowercase}}"],
+ *     "copyHousecallTags": true,
+ *     "retiredTagNamespaces": ["City"],
+ *     "lookups": { "<table>": { "<value>": "<replacement>" } }
+ *   }
+ *
+ * Source paths start at one of MAPPING_SOURCES (e.g. `address.city` is the
+ * standardized service address, `job.total_amount` the completed job). A tag or
+ * template field is left out when any of its placeholders is empty.
+ *
+ * Transforms: trim, lowercase, uppercase, date:<format> (YYYY, MM, DD) and
+ * lookup:<table> (values missing from the table are kept).
+ *
+ * Tag namespaces of the templates are replaced on update. When a template is
+ * removed, list its namespace in retiredTagNamespaces so the tags already on
+ * contacts are removed too (otherwise they stay forever).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_FIELD_MAPPING_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'fieldMapping.json');
+
+// Roots of a source path - see buildMappingContext() in lib/transform.js
+export const MAPPING_SOURCES = ['customer', 'job', 'address', 'phones', 'sync', 'lastServiceDate'];
+
+export const MAPPING_TRANSFORMS = ['trim', 'lowercase', 'uppercase', 'date', 'lookup'];
+
+// Fields written by their own modules (tags below, custom fields, consent)
+const RESERVED_FIELDS = ['tags', 'custom_fields', 'sms_subscribed', 'email_subscribed'];
+
+// Contacts without a phone are skipped, so the mapping must produce one
+const REQUIRED_FIELDS = ['phone'];
+
+// Tags other modules rely on to find synced contacts (recency refresh, reverse sync)
+const REQUIRED_TAGS = ['Source:housecallpro', 'HCID:{{customer.id}}'];
+
+const PLACEHOLDER_PATTERN = /\{\{([^{}]*)\}\}/g;
+
+let cachedMapping = null;
+
+/**
+ * Split a transform into its name and argument ("date:YYYY-MM-DD" → ['date', 'YYYY-MM-DD'])
+ * @param {string} transform - Transform
+ * @returns {array} - [name, argument|null]
+ */
+function parseTransform(transform) {
+  const index = transform.indexOf(':');
+  return index === -1 ? [transform.trim(), null] : [transform.substring(0, index).trim(), transform.substring(index + 1).trim()];
+}
+
+/**
+ * Split a placeholder into its source path and transforms ("address.city | lowercase")
+ * @param {string} expression - Placeholder contents
+ * @returns {object} - { source, transforms }
+ */
+function parsePlaceholder(expression) {
+  const [source, ...transforms] = expression.split('|').map(part => part.trim());
+  return { source, transforms };
+}
+
+/**
+ * Validate a source path and its transforms
+ * @param {string} source - Source path
+ * @param {array} transforms - Transforms
+ * @param {object} lookups - Lookup tables
+ * @param {string} label - What is being validated (for error messages)
+ * @throws {Error} - If the source or a transform is invalid
+ */
+function validateSource(source, transforms, lookups, label) {
+  if (typeof source !== 'string' || !MAPPING_SOURCES.includes(source.split('.')[0])) {
+    throw new Error(`Invalid source "${source}" for ${label} (must start with one of: ${MAPPING_SOURCES.join(', ')})`);
+  }
+
+  if (!Array.isArray(transforms)) {
+    throw new Error(`Transforms for ${label} must be an array`);
+  }
+
+  transforms.forEach(transform => {
+    const [name, argument] = parseTransform(String(transform));
+    if (!MAPPING_TRANSFORMS.includes(name)) {
+      throw new Error(`Invalid transform "${transform}" for ${label} (expected one of: ${MAPPING_TRANSFORMS.join(', ')})`);
+    }
+    if (name === 'date' && !argument) {
+      throw new Error(`Transform "date" for ${label} needs a format (e.g. date:YYYY-MM-DD)`);
+    }
+    if (name === 'lookup' && !lookups[argument]) {
+      throw new Error(`Unknown lookup table "${argument}" for ${label}`);
+    }
+  });
+}
+
+/**
+ * Validate every placeholder in a template
+ * @param {string} template - Template
+ * @param {object} lookups - Lookup tables
+ * @param {string} label - What is being validated (for error messages)
+ * @throws {Error} - If the template or a placeholder is invalid
+ */
+function validateTemplate(template, lookups, label) {
+  if (typeof template !== 'string' || !template.trim()) {
+    throw new Error(`${label} must be a non-empty string`);
+  }
+
+  const literal = template.replace(PLACEHOLDER_PATTERN, '');
+  if (literal.includes('{{') || literal.includes('}}')) {
+    throw new Error(`Unbalanced braces in ${label} "${template}"`);
+  }
+
+  for (const [, expression] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    const { source, transforms } = parsePlaceholder(expression);
+    validateSource(source, transforms, lookups, `${label} "${template}"`);
+  }
+}
+
+/**
+ * Validate a field mapping
+ * @param {object} mapping - Parsed mapping
+ * @returns {object} - The same mapping
+ * @throws {Error} - If a field, tag template or lookup table is malformed
+ */
+export function validateFieldMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object' || !mapping.fields || typeof mapping.fields !== 'object') {
+    throw new Error('Field mapping must have a "fields" object');
+  }
+
+  const { fields, tags = [], lookups = {} } = mapping;
+
+  for (const [table, values] of Object.entries(lookups)) {
+    if (!values || typeof values !== 'object' || Object.values(values).some(value => typeof value !== 'string')) {
+      throw new Error(`Lookup table "${table}" must map values to strings`);
+    }
+  }
+
+  for (const [target, field] of Object.entries(fields)) {
+    if (RESERVED_FIELDS.includes(target)) {
+      throw new Error(`Field "${target}" is written by the sync itself and can't be mapped`);
+    }
+    if (!field || typeof field !== 'object' || Boolean(field.source) === Boolean(field.template)) {
+      throw new Error(`Field "${target}" needs either a "source" or a "template"`);
+    }
+
+    if (field.template) {
+      validateTemplate(field.template, lookups, `template for field "${target}"`);
+    } else {
+      validateSource(field.source, field.transforms || [], lookups, `field "${target}"`);
+    }
+  }
+
+  REQUIRED_FIELDS.forEach(target => {
+    if (!fields[target]) {
+      throw new Error(`Field "${target}" must be mapped`);
+    }
+  });
+
+  if (!Array.isArray(tags)) {
+    throw new Error('"tags" must be an array of tag templates');
+  }
+
+  const { retiredTagNamespaces = [] } = mapping;
+  if (!Array.isArray(retiredTagNamespaces) || retiredTagNamespaces.some(namespace => typeof namespace !== 'string' || !/^[^:\s]+$/.test(namespace))) {
+    throw new Error('"retiredTagNamespaces" must be an array of tag namespaces (e.g. ["City"])');
+  }
+
+  tags.forEach(template => validateTemplate(template, lookups, 'tag template'));
+
+  REQUIRED_TAGS.forEach(template => {
+    if (!tags.includes(template)) {
+      throw new Error(`Tag template "${template}" is required (used to find synced contacts)`);
+    }
+  });
+
+  return mapping;
+}
+
+/**
+ * Load the field mapping (cached after first load)
+ * @param {string} mappingPath - Optional path to a mapping JSON file
+ * @returns {object} - Validated mapping
+ */
+export function loadFieldMapping(mappingPath = null) {
+  if (cachedMapping && !mappingPath) return cachedMapping;
+
+  const resolvedPath = mappingPath || process.env.FIELD_MAPPING_PATH || DEFAULT_FIELD_MAPPING_PATH;
+
+  try {
+    const mapping = validateFieldMapping(JSON.parse(fs.readFileSync(resolvedPath, 'utf8')));
+    if (!mappingPath) cachedMapping = mapping;
+    return mapping;
+  } catch (error) {
+    throw new Error(`Failed to load field mapping from ${resolvedPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Format a date (UTC)
+ * @param {*} value - Date or date string
+ * @param {string} format - Format with YYYY, MM and DD tokens
+ * @returns {string|null} - Formatted date, or null if invalid
+ */
+function formatDate(value, format) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  const tokens = {
+    YYYY: String(date.getUTCFullYear()),
+    MM: String(date.getUTCMonth() + 1).padStart(2, '0'),
+    DD: String(date.getUTCDate()).padStart(2, '0')
+  };
+
+  return format.replace(/YYYY|MM|DD/g, token => tokens[token]);
+}
+
+/**
+ * Apply transforms to a value
+ * @param {*} value - Source value
+ * @param {array} transforms - Transforms (e.g. ['trim', 'lookup:leadSources'])
+ * @param {object} lookups - Lookup tables
+ * @returns {*} - Transformed value, or null if empty
+ */
+export function applyTransforms(value, transforms = [], lookups = {}) {
+  return transforms.reduce((current, transform) => {
+    if (current === null || current === undefined || current === '') return null;
+
+    const [name, argument] = parseTransform(transform);
+    switch (name) {
+      case 'trim':
+        return String(current).trim();
+      case 'lowercase':
+        return String(current).toLowerCase();
+      case 'uppercase':
+        return String(current).toUpperCase();
+      case 'date':
+        return formatDate(current, argument);
+      case 'lookup':
+        return lookups[argument]?.[String(current)] ?? current;
+      default:
+        return current;
+    }
+  }, value);
+}
+
+/**
+ * Read a dotted path from the mapping context ("address.city")
+ * @param {object} context - Mapping context
+ * @param {string} source - Source path
+ * @returns {*} - Value, or undefined if missing
+ */
+export function getSourceValue(context, source) {
+  return source.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+/**
+ * Render a template
+ * @param {string} template - Template (e.g. "City:{{address.city | lowercase}}")
+ * @param {object} context - Mapping context
+ * @param {object} lookups - Lookup tables
+ * @returns {string|null} - Rendered text, or null if a placeholder is empty
+ */
+export function renderTemplate(template, context, lookups = {}) {
+  let empty = false;
+
+  const rendered = template.replace(PLACEHOLDER_PATTERN, (_, expression) => {
+    const { source, transforms } = parsePlaceholder(expression);
+    const value = applyTransforms(getSourceValue(context, source), transforms, lookups);
+
+    if (value === null || value === undefined || String(value).trim() === '') {
+      empty = true;
+      return '';
+    }
+    return String(value);
+  });
+
+  return empty ? null : rendered;
+}
+
+/**
+ * Build the mapped contact fields
+ * @param {object} context - Mapping context
+ * @param {object} mapping - Field mapping (default: loadFieldMapping())
+ * @returns {object} - { <patch field>: value } (empty values included as null)
+ */
+export function buildMappedFields(context, mapping = loadFieldMapping()) {
+  const { lookups = {} } = mapping;
+  const fields = {};
+
+  for (const [target, field] of Object.entries(mapping.fields)) {
+    const value = field.template
+      ? renderTemplate(field.template, context, lookups)
+      : applyTransforms(getSourceValue(context, field.source), field.transforms, lookups);
+
+    fields[target] = value === undefined ? null : value;
+  }
+
+  return fields;
+}
+
+/**
+ * Build the mapped tags
+ * @param {object} context - Mapping context
+ * @param {object} mapping - Field mapping (default: loadFieldMapping())
+ * @returns {array} - Rendered tags (templates with an empty placeholder left out)
+ */
+export function buildMappedTags(context, mapping = loadFieldMapping()) {
+  const { tags = [], lookups = {} } = mapping;
+
+  return tags
+    .map(template => renderTemplate(template, context, lookups))
+    .filter(Boolean);
+}
+
+/**
+ * Get the tag namespaces owned by the mapping
+ * @param {object} mapping - Field mapping (default: loadFieldMapping())
+ * @returns {array} - Namespaces of the tag templates plus retired ones (e.g. ['Source', 'HCID', 'City'])
+ */
+export function getMappedTagNamespaces(mapping = loadFieldMapping()) {
+  return [...new Set([
+    ...(mapping.tags || [])
+      .map(template => template.split('{{')[0])
+      .filter(prefix => prefix.includes(':'))
+      .map(prefix => prefix.split(':')[0]),
+    ...(mapping.retiredTagNamespaces || [])
+  ])];
+}
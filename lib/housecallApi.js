@@ -3,9 +3,11 @@
  * Base URL: https://api.housecallpro..com
  */
 
-import axios from 'axios';
+import { createHttpClient, getRateLimitConfig } from './httpClient.js';
+import { isCompletedJob, getJobCompletedAt } from './jobs.js';
 
 const HOUSECALL_API_BASE = 'https://api.housecallpro.com';
+const JOBS_PAGE_LIMIT = 20; // Safety limit - 2,000 jobs per customer
 
 // Get API key from environment variables
 const getApiKey = () => {
@@ -15,33 +17,60 @@ const getApiKey = () => {
   throw new Error('HOUSECALL_API_KEY environment variable is not set');
 };
 
+let apiClient = null;
+
 /**
- * Create axios instance with auth headers
+ * Get the shared rate-limited client (created on first use, after .env is loaded)
  */
-const createApiClient = () => {
-  return axios.create({
-    baseURL: HOUSECALL_API_BASE,
-    headers: {
-      'Authorization': `Token ${getApiKey()}`,
-      'Content-Type': 'application/json'
-    },
-    timeout: 30000 // 30 second timeout
-  });
+const getApiClient = () => {
+  if (!apiClient) {
+    apiClient = createHttpClient({
+      name: 'housecall',
+      baseURL: HOUSECALL_API_BASE,
+      getHeaders: () => ({
+        'Authorization': `Token ${getApiKey()}`,
+        'Content-Type': 'application/json'
+      }),
+      timeout: 30000, // 30 second timeout
+      ...getRateLimitConfig('HOUSECALL')
+    });
+  }
+  return apiClient;
+};
+
+/**
+ * Wrap an API error, keeping the HTTP status so callers can tell a 404 from an outage
+ * @param {string} message - Error message prefix
+ * @param {Error} error - Original axios error
+ * @returns {Error} - Error with `status` (undefined for network errors) and `code` properties
+ */
+const apiError = (message, error) => {
+  const wrapped = new Error(`${message}: ${error.message}`);
+  wrapped.status = error.response?.status;
+  wrapped.code = error.code;
+  return wrapped;
 };
 
 /**
  * Get all customers (paginated)
  * @param {number} page - Page number (default: 1)
  * @param {number} pageSize - Results per page (default: 50)
+ * @param {object} options - Sort options
+ * @param {string} options.sortBy - Sort field, e.g. 'updated_at' or 'created_at' (default: API order)
+ * @param {string} options.sortDirection - 'asc' or 'desc'
  * @returns {Promise<object>} - Customer data with pagination info
  */
-export async function getCustomers(page = 1, pageSize = 50) {
+export async function getCustomers(page = 1, pageSize = 50, options = {}) {
+  const { sortBy, sortDirection } = options;
+
   try {
-    const api = createApiClient();
+    const api = getApiClient();
 
-    const response = await api.get('/customers', {
-      params: { page, page_size: pageSize }
-    });
+    const params = { page, page_size: pageSize };
+    if (sortBy) params.sort_by = sortBy;
+    if (sortDirection) params.sort_direction = sortDirection;
+
+    const response = await api.get('/customers', { params });
 
     return response.data;
   } catch (error) {
@@ -52,15 +81,20 @@ export async function getCustomers(page = 1, pageSize = 50) {
 
 /**
  * Get all customers (fetches all pages)
+ * @param {object} options - Fetch options
+ * @param {number} options.startPage - First page to fetch, 100 customers per page (default: 1)
+ * @param {number} options.limit - Maximum number of customers to return (default: all)
  * @returns {Promise<array>} - Array of all customers
  */
-export async function getAllCustomers() {
+export async function getAllCustomers(options = {}) {
+  const { startPage = 1, limit = Infinity } = options;
+
   try {
     const customers = [];
-    let page = 1;
+    let page = startPage;
     let hasMore = true;
 
-    while (hasMore) {
+    while (hasMore && customers.length < limit) {
       const result = await getCustomers(page, 100); // Max per page
       customers.push(...result.customers);
 
@@ -69,12 +103,16 @@ export async function getAllCustomers() {
       page++;
 
       // Safety limit
-      if (page > 100) {
+      if (page - startPage >= 100) {
         console.warn('Hit safety limit of 100 pages.');
         break;
       }
     }
 
+    if (customers.length > limit) {
+      customers.length = limit;
+    }
+
     console.log(`Fetched ${customers.length} total customers from Housecall Pro`);
     return customers;
   } catch (error) {
@@ -90,33 +128,85 @@ export async function getAllCustomers() {
  */
 export async function getCustomerById(customerId) {
   try {
-    const api = createApiClient();
+    const api = getApiClient();
 
     const response = await api.get(`/customers/${customerId}`);
     return response.data;
   } catch (error) {
     console.error(`Error fetching customer ${customerId}:`, error.message);
-    throw new Error(`Failed to fetch customer: ${error.message}`);
+    throw apiError('Failed to fetch customer', error);
+  }
+}
+
+/**
+ * Search customers by name, phone number or email
+ * @param {string} query - Search text
+ * @returns {Promise<array>} - Matching customers (first page)
+ */
+export async function searchCustomers(query) {
+  try {
+    const api = getApiClient();
+
+    const response = await api.get('/customers', {
+      params: { q: query, page_size: 25 }
+    });
+
+    return response.data.customers || [];
+  } catch (error) {
+    console.error(`Error searching customers for "${query}":`, error.message);
+    throw apiError('Failed to search customers', error);
   }
 }
 
 /**
- * Get jobs for a specific customer
+ * Update an existing customer in Housecall Pro
+ * @param {string} customerId - Housecall Pro customer ID
+ * @param {object} customerData - Fields to update (email, marketing_opt_in, tags, etc.)
+ * @returns {Promise<object>} - Updated customer object
+ */
+export async function updateCustomer(customerId, customerData) {
+  try {
+    const api = getApiClient();
+
+    const response = await api.put(`/customers/${customerId}`, customerData);
+
+    console.log(`✅ Updated Housecall Pro customer ${customerId}: ${Object.keys(customerData).join(', ')}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error updating customer ${customerId}:`, error.response?.data || error.message);
+    throw apiError('Failed to update customer', error);
+  }
+}
+
+/**
+ * Get jobs for a specific customer (fetches all pages)
+ * Throws rather than returning a partial list - job history tags are replaced
+ * from this list, so an empty one would wipe them.
  * @param {string} customerId - Housecall Pro customer ID
  * @returns {Promise<array>} - Array of jobs for this customer
  */
 export async function getCustomerJobs(customerId) {
   try {
-    const api = createApiClient();
+    const api = getApiClient();
+    const jobs = [];
 
-    const response = await api.get('/jobs', {
-      params: { customer_id: customerId }
-    });
+    for (let page = 1; page <= JOBS_PAGE_LIMIT; page++) {
+      const response = await api.get('/jobs', {
+        params: { customer_id: customerId, page, page_size: 100 } // Max per page
+      });
 
-    return response.data.jobs || [];
+      jobs.push(...(response.data.jobs || []));
+
+      if (page >= (response.data.total_pages || 1)) {
+        return jobs;
+      }
+    }
+
+    console.warn(`Hit safety limit of ${JOBS_PAGE_LIMIT} job pages for customer ${customerId}.`);
+    return jobs;
   } catch (error) {
-    console.error(`Error fetching jobs for customer ${customerId}:`, error.message);
-    return []; // Return empty array if jobs fetch fails
+    console.error(`Error fetching jobs for customer ${customerId}:`, error.response?.data || error.message);
+    throw apiError('Failed to fetch customer jobs', error);
   }
 }
 
@@ -130,9 +220,7 @@ export async function getLastServiceDate(customerId) {
     const jobs = await getCustomerJobs(customerId);
 
     // Filter for completed jobs
-    const completedJobs = jobs.filter(job =>
-      job.status === 'completed' && job.completed_at
-    );
+    const completedJobs = jobs.filter(isCompletedJob);
 
     if (completedJobs.length === 0) {
       return null;
@@ -140,10 +228,10 @@ export async function getLastServiceDate(customerId) {
 
     // Sort by completed_at date (most recent first)
     completedJobs.sort((a, b) =>
-      new Date(b.completed_at) - new Date(a.completed_at)
+      new Date(getJobCompletedAt(b)) - new Date(getJobCompletedAt(a))
     );
 
-    return completedJobs[0].completed_at;
+    return getJobCompletedAt(completedJobs[0]);
   } catch (error) {
     console.error(`Error getting last service date for customer ${customerId}:`, error.message);
     return null;
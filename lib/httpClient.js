@@ -0,0 +1,305 @@
+/**
+ * Shared HTTP client - Rate limiting, retries and metrics for API clients
+ *
+ * Each API gets one long-lived axios instance (keep-alive connections are reused)
+ * behind a token-bucket rate limiter. Requests that fail with 429/502/503/504 are
+ * retried with jittered exponential backoff, honoring the Retry-After header.
+ * POST and PATCH requests are only retried on 429 - after a gateway error the
+ * write may already have been applied (e.g. a duplicate contact on createContact).
+ *
+ * The total time spent waiting between retries of one request is capped (default
+ * 5s) so a webhook function fails - and queues the sync for retry - before Vercel
+ * kills it at maxDuration. A Retry-After longer than what is left fails right away.
+ */
+
+import http from 'http';
+import https from 'https';
+import axios from 'axios';
+
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+
+// Methods that are safe to repeat - others may have been applied before the error
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'options', 'put', 'delete']);
+
+// Transient network errors (only retried for idempotent requests)
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE']);
+
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30000;
+
+// Total wait across the retries of one request - stays below maxDuration (vercel.json)
+const DEFAULT_MAX_RETRY_DELAY_MS = 5000;
+
+// All clients created in this process (for metrics reporting)
+const clients = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getEnvNumber = (name, fallback, min = 1) => {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) && value >= min ? value : fallback;
+};
+
+/**
+ * Create a token-bucket rate limiter
+ * @param {number} ratePerSecond - Tokens added per second
+ * @param {number} burst - Maximum tokens in the bucket
+ * @returns {object} - Limiter with acquire() and pause(ms)
+ */
+function createRateLimiter(ratePerSecond, burst) {
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let resumeAt = 0;
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+    lastRefill = now;
+  };
+
+  return {
+    /**
+     * Wait for a token (requests are served in order)
+     * @returns {Promise<void>}
+     */
+    acquire() {
+      const ticket = queue.then(async () => {
+        if (resumeAt > Date.now()) {
+          await sleep(resumeAt - Date.now());
+        }
+
+        refill();
+        if (tokens < 1) {
+          await sleep(((1 - tokens) / ratePerSecond) * 1000);
+          refill();
+        }
+        tokens -= 1;
+      });
+
+      queue = ticket.catch(() => {});
+      return ticket;
+    },
+
+    /**
+     * Stop handing out tokens for a while (after a 429)
+     * @param {number} ms - Pause duration in milliseconds
+     */
+    pause(ms) {
+      resumeAt = Math.max(resumeAt, Date.now() + ms);
+      tokens = 0;
+    }
+  };
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string} value - Header value (seconds or HTTP date)
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(date - Date.now(), 0) : null;
+}
+
+/**
+ * Calculate backoff delay with full jitter
+ * @param {number} attempt - Retry attempt number (1-based)
+ * @returns {number} - Delay in milliseconds
+ */
+function getBackoffDelay(attempt) {
+  const ceiling = Math.min(BASE_BACKOFF_MS * Math.pow(2, attempt - 1), MAX_BACKOFF_MS);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Check if a failed request should be retried
+ * @param {Error} error - Axios error
+ * @param {string} method - HTTP method
+ * @returns {boolean} - True if retryable
+ */
+function isRetryable(error, method) {
+  const status = error.response?.status;
+
+  // 429 means the request was rejected before it was processed
+  if (status === 429) return true;
+  if (!IDEMPOTENT_METHODS.has(method)) return false;
+
+  if (status) {
+    return RETRYABLE_STATUSES.has(status);
+  }
+  return RETRYABLE_CODES.has(error.code);
+}
+
+/**
+ * Create a rate-limited, retrying HTTP client for one API
+ * @param {object} config - Client configuration
+ * @param {string} config.name - Client name (used in logs and metrics)
+ * @param {string} config.baseURL - API base URL
+ * @param {function} config.getHeaders - Returns headers per request (reads credentials lazily)
+ * @param {number} config.requestsPerSecond - Sustained request rate (default: 5)
+ * @param {number} config.burst - Bucket size (default: requestsPerSecond)
+ * @param {number} config.maxRetries - Retries per request (default: 4, 0 = never retry)
+ * @param {number} config.maxRetryDelayMs - Total wait between retries of one request (default: 5000)
+ * @param {number} config.timeout - Request timeout in ms (default: 30000)
+ * @returns {object} - Client with get/post/put/patch/delete/request and getMetrics()
+ */
+export function createHttpClient(config) {
+  const {
+    name,
+    baseURL,
+    getHeaders = () => ({}),
+    requestsPerSecond = 5,
+    burst = requestsPerSecond,
+    maxRetries = 4,
+    maxRetryDelayMs = DEFAULT_MAX_RETRY_DELAY_MS,
+    timeout = 30000
+  } = config;
+
+  const instance = axios.create({
+    baseURL,
+    timeout,
+    httpAgent: new http.Agent({ keepAlive: true }),
+    httpsAgent: new https.Agent({ keepAlive: true })
+  });
+
+  const limiter = createRateLimiter(requestsPerSecond, burst);
+
+  const metrics = {
+    requests: 0,
+    retries: 0,
+    failures: 0,
+    rateLimited: 0,
+    totalDurationMs: 0,
+    byStatus: {}
+  };
+
+  /**
+   * Send a request with rate limiting and retries
+   * @param {object} requestConfig - Axios request config
+   * @returns {Promise<object>} - Axios response
+   */
+  async function request(requestConfig) {
+    const method = (requestConfig.method || 'get').toLowerCase();
+    let waitedMs = 0;
+
+    for (let attempt = 0; ; attempt++) {
+      await limiter.acquire();
+
+      const startedAt = Date.now();
+      metrics.requests++;
+
+      try {
+        const response = await instance.request({
+          ...requestConfig,
+          method,
+          headers: { ...getHeaders(), ...requestConfig.headers }
+        });
+
+        metrics.totalDurationMs += Date.now() - startedAt;
+        metrics.byStatus[response.status] = (metrics.byStatus[response.status] || 0) + 1;
+        return response;
+      } catch (error) {
+        metrics.totalDurationMs += Date.now() - startedAt;
+
+        const status = error.response?.status;
+        const statusKey = status || error.code || 'network';
+        metrics.byStatus[statusKey] = (metrics.byStatus[statusKey] || 0) + 1;
+
+        if (status === 429) {
+          metrics.rateLimited++;
+        }
+
+        if (attempt >= maxRetries || !isRetryable(error, method)) {
+          metrics.failures++;
+          throw error;
+        }
+
+        const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+        const delay = retryAfter !== null
+          ? retryAfter + Math.round(Math.random() * 250)
+          : getBackoffDelay(attempt + 1);
+
+        // Out of retry time: fail now so the caller can queue the work instead
+        if (waitedMs + delay > maxRetryDelayMs) {
+          metrics.failures++;
+          console.warn(`⏳ ${name} ${method.toUpperCase()} ${requestConfig.url} failed (${statusKey}), not retrying - ${delay}ms wait exceeds the ${maxRetryDelayMs}ms retry budget`);
+          throw error;
+        }
+        waitedMs += delay;
+
+        // Rate limited: hold every queued request, not just this one
+        if (status === 429) {
+          limiter.pause(delay);
+        }
+
+        metrics.retries++;
+        console.warn(`⏳ ${name} ${method.toUpperCase()} ${requestConfig.url} failed (${statusKey}), retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  const client = {
+    name,
+    request,
+    get: (url, options = {}) => request({ ...options, method: 'get', url }),
+    delete: (url, options = {}) => request({ ...options, method: 'delete', url }),
+    post: (url, data, options = {}) => request({ ...options, method: 'post', url, data }),
+    put: (url, data, options = {}) => request({ ...options, method: 'put', url, data }),
+    patch: (url, data, options = {}) => request({ ...options, method: 'patch', url, data }),
+
+    /**
+     * Get request metrics for this client
+     * @returns {object} - { requests, retries, failures, rateLimited, avgDurationMs, byStatus }
+     */
+    getMetrics() {
+      return {
+        requests: metrics.requests,
+        retries: metrics.retries,
+        failures: metrics.failures,
+        rateLimited: metrics.rateLimited,
+        avgDurationMs: metrics.requests ? Math.round(metrics.totalDurationMs / metrics.requests) : 0,
+        byStatus: { ...metrics.byStatus }
+      };
+    }
+  };
+
+  clients.set(name, client);
+  return client;
+}
+
+/**
+ * Get request metrics for every client in this process
+ * @returns {object} - Map of client name → metrics
+ */
+export function getHttpMetrics() {
+  const result = {};
+  for (const [name, client] of clients) {
+    result[name] = client.getMetrics();
+  }
+  return result;
+}
+
+/**
+ * Read rate limit settings for an API from environment variables
+ * e.g. PATCH_RATE_LIMIT_PER_SECOND, PATCH_MAX_RETRIES, PATCH_MAX_RETRY_DELAY_MS
+ * (retry settings may be 0 to turn retries off)
+ * @param {string} prefix - Environment variable prefix
+ * @param {object} defaults - Defaults { requestsPerSecond, maxRetries, maxRetryDelayMs }
+ * @returns {object} - { requestsPerSecond, maxRetries, maxRetryDelayMs }
+ */
+export function getRateLimitConfig(prefix, defaults = {}) {
+  return {
+    requestsPerSecond: getEnvNumber(`${prefix}_RATE_LIMIT_PER_SECOND`, defaults.requestsPerSecond || 5),
+    maxRetries: getEnvNumber(`${prefix}_MAX_RETRIES`, defaults.maxRetries ?? 4, 0),
+    maxRetryDelayMs: getEnvNumber(`${prefix}_MAX_RETRY_DELAY_MS`, defaults.maxRetryDelayMs ?? DEFAULT_MAX_RETRY_DELAY_MS, 0)
+  };
+}
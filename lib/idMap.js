@@ -0,0 +1,94 @@
+/**
+ * ID mapping - Housecall Pro customer ID ↔ Patch Retention contact ID
+ *
+ * Phone numbers and emails change; the Housecall Pro customer ID does not.
+ * Once a customer has been matched or created in Patch, the mapping is stored
+ * so later syncs find the same contact even after a phone/email change.
+ */
+
+import { getStore } from './store.js';
+
+const HC_PREFIX = 'idmap:hc:';
+const PATCH_PREFIX = 'idmap:patch:';
+
+/**
+ * Get the Patch contact ID mapped to a Housecall Pro customer
+ * @param {string} hcCustomerId - Housecall Pro customer ID
+ * @returns {Promise<string|null>} - Patch contact ID (_id) or null
+ */
+export async function getPatchContactId(hcCustomerId) {
+  if (!hcCustomerId) return null;
+
+  const mapping = await getStore().get(`${HC_PREFIX}${hcCustomerId}`);
+  return mapping ? mapping.patchContactId : null;
+}
+
+/**
+ * Get the Housecall Pro customer ID mapped to a Patch contact
+ * @param {string} patchContactId - Patch contact ID (_id)
+ * @returns {Promise<string|null>} - Housecall Pro customer ID or null
+ */
+export async function getHousecallCustomerId(patchContactId) {
+  if (!patchContactId) return null;
+
+  const mapping = await getStore().get(`${PATCH_PREFIX}${patchContactId}`);
+  return mapping ? mapping.hcCustomerId : null;
+}
+
+/**
+ * List every Housecall Pro customer ID that has a mapping
+ * @returns {Promise<array>} - Customer IDs, sorted
+ */
+export async function listMappedCustomerIds() {
+  const keys = await getStore().list(HC_PREFIX);
+  return keys.map(key => key.substring(HC_PREFIX.length)).sort();
+}
+
+/**
+ * Record that a Housecall Pro customer corresponds to a Patch contact
+ * @param {string} hcCustomerId - Housecall Pro customer ID
+ * @param {string} patchContactId - Patch contact ID (_id)
+ * @returns {Promise<boolean>} - True if the mapping was written (false if unchanged)
+ */
+export async function saveMapping(hcCustomerId, patchContactId) {
+  if (!hcCustomerId || !patchContactId) return false;
+
+  const store = getStore();
+  const existing = await store.get(`${HC_PREFIX}${hcCustomerId}`);
+
+  if (existing && existing.patchContactId === patchContactId) {
+    return false;
+  }
+
+  // Drop the reverse entry for the previously mapped contact
+  if (existing && existing.patchContactId) {
+    await store.delete(`${PATCH_PREFIX}${existing.patchContactId}`);
+  }
+
+  const mapping = {
+    hcCustomerId,
+    patchContactId,
+    updatedAt: new Date().toISOString()
+  };
+
+  await store.set(`${HC_PREFIX}${hcCustomerId}`, mapping);
+  await store.set(`${PATCH_PREFIX}${patchContactId}`, mapping);
+
+  return true;
+}
+
+/**
+ * Remove the mapping for a Housecall Pro customer (e.g. Patch contact was deleted)
+ * @param {string} hcCustomerId - Housecall Pro customer ID
+ */
+export async function removeMapping(hcCustomerId) {
+  if (!hcCustomerId) return;
+
+  const store = getStore();
+  const existing = await store.get(`${HC_PREFIX}${hcCustomerId}`);
+
+  await store.delete(`${HC_PREFIX}${hcCustomerId}`);
+  if (existing && existing.patchContactId) {
+    await store.delete(`${PATCH_PREFIX}${existing.patchContactId}`);
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Job history helpers - Summarize Housecall Pro jobs for Patch Retention
+ */
+
+/**
+ * Check if a job has been completed
+ * @param {object} job - Housecall Pro job object
+ * @returns {boolean} - True if the job is completed
+ */
+export function isCompletedJob(job) {
+  if (!job) return false;
+
+  const status = job.work_status || job.status;
+  return (status === 'completed' || status === 'complete unrated' || status === 'complete rated') &&
+    Boolean(getJobCompletedAt(job));
+}
+
+/**
+ * Get the completion timestamp of a job
+ * @param {object} job - Housecall Pro job object
+ * @returns {string|null} - ISO date string or null
+ */
+export function getJobCompletedAt(job) {
+  return job?.work_timestamps?.completed_at || job?.completed_at || null;
+}
+
+/**
+ * Get the job total in dollars
+ * Housecall Pro reports amounts in cents
+ * @param {object} job - Housecall Pro job object
+ * @returns {number} - Job total in dollars
+ */
+export function getJobTotal(job) {
+  const cents = Number(job?.total_amount);
+  return Number.isFinite(cents) ? cents / 100 : 0;
+}
+
+/**
+ * Get the service type of a job
+ * @param {object} job - Housecall Pro job object
+ * @returns {string|null} - Service type (job type name, or description)
+ */
+export function getJobServiceType(job) {
+  const serviceType = job?.job_fields?.job_type?.name || job?.description || '';
+  return serviceType.trim() || null;
+}
+
+/**
+ * Get the names of a job's line items
+ * @param {object} job - Housecall Pro job object
+ * @returns {array} - Line item names
+ */
+export function getJobLineItemNames(job) {
+  return (job?.line_items || [])
+    .map(item => (item.name || '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Check if a job is part of a recurring service plan
+ * @param {object} job - Housecall Pro job object
+ * @returns {boolean} - True if the job recurs
+ */
+export function isRecurringJob(job) {
+  return Boolean(job?.recurring || job?.recurrence || job?.recurring_job_id || job?.schedule?.recurrence_rule);
+}
+
+/**
+ * Summarize a customer's completed job history
+ * @param {array} jobs - Housecall Pro jobs for one customer
+ * @returns {object} - { completedJobs, lastServiceDate, lastJobTotal, lifetimeValue, lastServiceType, lastServiceAddress, services, recurring }
+ */
+export function summarizeJobHistory(jobs = []) {
+  const completedJobs = jobs.filter(isCompletedJob);
+
+  // Most recent first
+  completedJobs.sort((a, b) =>
+    new Date(getJobCompletedAt(b)) - new Date(getJobCompletedAt(a))
+  );
+
+  const lastJob = completedJobs[0] || null;
+  const lifetimeValue = completedJobs.reduce((total, job) => total + getJobTotal(job), 0);
+
+  return {
+    completedJobs: completedJobs.length,
+    lastServiceDate: lastJob ? getJobCompletedAt(lastJob) : null,
+    lastJobTotal: lastJob ? getJobTotal(lastJob) : null,
+    lifetimeValue: Math.round(lifetimeValue * 100) / 100,
+    lastServiceType: lastJob ? getJobServiceType(lastJob) : null,
+    lastServiceAddress: lastJob?.address || null,
+    services: completedJobs.map(job => ({ jobType: getJobServiceType(job), items: getJobLineItemNames(job) })),
+    // Upcoming jobs count too - a scheduled recurring visit means the customer is on a plan
+    recurring: jobs.some(isRecurringJob)
+  };
+}
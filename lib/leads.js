@@ -0,0 +1,71 @@
+/**
+ * Lead lifecycle helpers - Leads, estimates and conversion to customers
+ *
+ * Every synced contact carries a `Type:` tag:
+ * - Type:lead      Came in as a lead or estimate and hasn't booked yet
+ * - Type:customer  Booked work (converted lead, approved estimate, completed job)
+ *
+ * A contact never goes back from Type:customer to Type:lead.
+ */
+
+// Estimate webhook events that carry their status in the event name
+const ESTIMATE_EVENT_STATUSES = {
+  'estimate.sent': 'sent',
+  'estimate.approved': 'approved',
+  'estimate.declined': 'declined'
+};
+
+/**
+ * Get the customer record from a Housecall Pro lead
+ * Leads carry their contact details in an embedded customer; older payloads are flat.
+ * @param {object} lead - Housecall Pro lead
+ * @returns {object} - Customer-shaped object for the sync pipeline
+ */
+export function getLeadCustomer(lead) {
+  return lead.customer ? { ...lead.customer } : lead;
+}
+
+/**
+ * Get a lead's source (e.g. "Google", "Referral")
+ * @param {object} lead - Housecall Pro lead
+ * @returns {string|null} - Lead source name
+ */
+export function getLeadSource(lead) {
+  const source = lead.lead_source || lead.customer?.lead_source || null;
+  if (!source) return null;
+  return typeof source === 'object' ? source.name || null : String(source);
+}
+
+/**
+ * Get an estimate's status
+ * @param {object} estimate - Housecall Pro estimate
+ * @param {string} event - Webhook event (e.g. 'estimate.sent')
+ * @returns {string} - 'approved' | 'declined' | 'sent' | the estimate's work status | 'created'
+ */
+export function getEstimateStatus(estimate, event = '') {
+  if (ESTIMATE_EVENT_STATUSES[event]) {
+    return ESTIMATE_EVENT_STATUSES[event];
+  }
+
+  const approvals = (estimate.options || [])
+    .map(option => option.approval_status)
+    .filter(Boolean);
+
+  if (approvals.includes('approved')) return 'approved';
+  if (approvals.length > 0 && approvals.every(status => status === 'declined')) return 'declined';
+
+  return estimate.work_status || 'created';
+}
+
+/**
+ * Decide a contact's Type, never downgrading a customer back to a lead
+ * @param {string|null} requested - Type implied by the event ('lead' | 'customer' | null to keep the current type)
+ * @param {array} currentTags - Tags on the existing Patch contact
+ * @returns {string} - 'lead' | 'customer'
+ */
+export function resolveRecordType(requested, currentTags = []) {
+  if (currentTags.includes('Type:customer')) return 'customer';
+
+  const current = currentTags.includes('Type:lead') ? 'lead' : null;
+  return requested || current || 'customer';
+}
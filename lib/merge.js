@@ -1,14 +1,20 @@
 /**
  * Intelligent merge logic - Decide whether to update existing contacts
+ *
+ * Which fields an update may change is controlled per field by the merge policy
+ * (config/mergePolicy.json, see lib/mergePolicy.js).
  */
 
+import { loadMergePolicy, getFieldRule } from './mergePolicy.js';
+import { isSameFieldValue } from './customFields.js';
+
 /**
  * Calculate data completeness score for a contact
  * Higher score = more complete data
  * @param {object} contact - Contact object
  * @returns {number} - Completeness score
  */
-function calculateCompleteness(contact) {
+export function calculateCompleteness(contact) {
   let score = 0;
 
   // Basic fields (1 point each)
@@ -64,7 +70,7 @@ function wasManuallyEdited(patchContact) {
 }
 
 /**
- * Decide whether to update an existing Patch contact with Housecall Pro data
+ * Decide whether to update an existing Patch contact, and why
  *
  * Update rules (in order of priority):
  * 1. If manually edited in Patch (channel !== 'API'), DON'T update
@@ -74,49 +80,223 @@ function wasManuallyEdited(patchContact) {
  *
  * @param {object} hcCustomer - Housecall Pro customer object
  * @param {object} patchContact - Existing Patch Retention contact object
- * @returns {boolean} - True if should update, false if should skip
+ * @returns {object} - { update: boolean, reason: 'manually_edited'|'hc_newer'|'hc_more_complete'|'patch_current',
+ *   manuallyEdited: boolean, hcNewer: boolean, recordUpdate: boolean (newer or more complete, ignoring manual edits) }
  */
-export function shouldUpdate(hcCustomer, patchContact) {
+export function explainUpdateDecision(hcCustomer, patchContact) {
+  const manuallyEdited = Boolean(wasManuallyEdited(patchContact));
+  const hcNewer = isNewerData(hcCustomer, patchContact);
+  const hcCompleteness = calculateCompleteness(hcCustomer);
+  const patchCompleteness = calculateCompleteness(patchContact);
+  const recordUpdate = hcNewer || hcCompleteness > patchCompleteness;
+
+  const flags = { manuallyEdited, hcNewer, recordUpdate };
+
   // Rule 1: Don't overwrite manually edited contacts
-  if (wasManuallyEdited(patchContact)) {
+  if (manuallyEdited) {
     console.log(`⏭️  Skipping update - contact was manually edited in Patch (channel: ${patchContact.channel})`);
-    return false;
+    return { update: false, reason: 'manually_edited', ...flags };
   }
 
   // Rule 2: If Housecall Pro data is newer, update
-  if (isNewerData(hcCustomer, patchContact)) {
+  if (hcNewer) {
     console.log('📅 Updating - Housecall Pro data is newer');
-    return true;
+    return { update: true, reason: 'hc_newer', ...flags };
   }
 
   // Rule 3: If Housecall Pro data is more complete, update
-  const hcCompleteness = calculateCompleteness(hcCustomer);
-  const patchCompleteness = calculateCompleteness(patchContact);
-
-  if (hcCompleteness > patchCompleteness) {
+  if (recordUpdate) {
     console.log(`📊 Updating - Housecall Pro data is more complete (${hcCompleteness} vs ${patchCompleteness})`);
-    return true;
+    return { update: true, reason: 'hc_more_complete', ...flags };
   }
 
   // Rule 4: Default - don't update
   console.log(`⏭️  Skipping update - Patch data is current and complete`);
-  return false;
+  return { update: false, reason: 'patch_current', ...flags };
+}
+
+/**
+ * Decide whether to update an existing Patch contact with Housecall Pro data
+ * See explainUpdateDecision() for the rules.
+ * @param {object} hcCustomer - Housecall Pro customer object
+ * @param {object} patchContact - Existing Patch Retention contact object
+ * @returns {boolean} - True if should update, false if should skip
+ */
+export function shouldUpdate(hcCustomer, patchContact) {
+  return explainUpdateDecision(hcCustomer, patchContact).update;
 }
 
 /**
  * Merge strategy: Decide whether to create, update, or skip
+ *
+ * For existing contacts, every field is resolved through the merge policy; the
+ * contact is updated only if at least one field ends up different.
+ *
  * @param {object} hcCustomer - Housecall Pro customer
  * @param {object|null} existingContact - Existing Patch contact (or null if not found)
- * @returns {object} - Decision object { action: 'create'|'update'|'skip', contact: existingContact }
+ * @param {object} patchData - Contact payload transformed from Housecall Pro
+ * @param {object} options - Merge options
+ * @param {object} options.policy - Merge policy (default: config/mergePolicy.json)
+ * @param {array} options.ownedNamespaces - Tag namespaces owned by the sync (replaced on union)
+ * @returns {object} - Decision object { action: 'create'|'update'|'skip', contact: existingContact, reason, payload, changes }
  */
-export function decideMergeStrategy(hcCustomer, existingContact) {
+export function decideMergeStrategy(hcCustomer, existingContact, patchData, options = {}) {
   if (!existingContact) {
-    return { action: 'create', contact: null };
+    return { action: 'create', contact: null, reason: 'new_contact', payload: patchData, changes: diffContact(patchData, null) };
+  }
+
+  const record = explainUpdateDecision(hcCustomer, existingContact);
+  const { payload, changes } = applyMergePolicy(patchData, existingContact, record, options);
+
+  if (changes.length === 0) {
+    return {
+      action: 'skip',
+      contact: existingContact,
+      reason: record.update ? 'no_changes' : record.reason,
+      payload,
+      changes
+    };
+  }
+
+  return {
+    action: 'update',
+    contact: existingContact,
+    reason: record.update ? record.reason : 'merge_policy',
+    payload,
+    changes
+  };
+}
+
+/**
+ * Compare a Patch payload against an existing contact field by field
+ * @param {object} patchData - Contact payload that would be sent to Patch
+ * @param {object|null} existingContact - Existing Patch contact (or null for a create)
+ * @returns {array} - Changed fields [{ field, current, proposed }]
+ */
+export function diffContact(patchData, existingContact) {
+  const current = existingContact || {};
+  const changes = [];
+
+  for (const [field, proposed] of Object.entries(patchData)) {
+    if (field === 'tags') {
+      const currentTags = current.tags || [];
+      const sameTags = proposed.length === currentTags.length &&
+        proposed.every(tag => currentTags.includes(tag));
+
+      if (!sameTags) {
+        changes.push({ field, current: currentTags, proposed });
+      }
+      continue;
+    }
+
+    // Only the custom fields we send are compared (by field type) - others belong to Patch
+    if (field === 'custom_fields') {
+      const currentFields = current.custom_fields || {};
+      const sameFields = Object.entries(proposed || {})
+        .every(([key, value]) => isSameFieldValue(key, value, currentFields[key]));
+
+      if (!sameFields) {
+        changes.push({ field, current: currentFields, proposed });
+      }
+      continue;
+    }
+
+    const currentValue = current[field] ?? null;
+    if (String(currentValue ?? '') !== String(proposed ?? '')) {
+      changes.push({ field, current: currentValue, proposed });
+    }
   }
 
-  if (shouldUpdate(hcCustomer, existingContact)) {
-    return { action: 'update', contact: existingContact };
+  return changes;
+}
+
+/**
+ * Merge tags, replacing the namespaced tags this sync owns
+ * A namespaced tag looks like `Namespace:value`; existing tags in any of the given
+ * namespaces are dropped so stale values (e.g. an old `LastService:` date) don't accumulate.
+ * @param {array} existingTags - Tags currently on the Patch contact
+ * @param {array} incomingTags - Tags computed from Housecall Pro
+ * @param {array} namespaces - Namespaces owned by the sync (e.g. ['LastService'])
+ * @returns {array} - Merged tags (existing first, duplicates removed)
+ */
+export function mergeTags(existingTags = [], incomingTags = [], namespaces = []) {
+  const owned = new Set(namespaces);
+  const kept = existingTags.filter(tag => !owned.has(String(tag).split(':')[0]));
+
+  return [...new Set([...kept, ...incomingTags])];
+}
+
+const isEmpty = (value) =>
+  value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Resolve the value of one field according to its merge rule
+ * @param {object} rule - Field rule from getFieldRule()
+ * @param {*} sourceValue - Value from Housecall Pro
+ * @param {*} targetValue - Value currently in Patch
+ * @param {object} record - Record-level flags from explainUpdateDecision()
+ * @param {array} ownedNamespaces - Tag namespaces owned by the sync
+ * @returns {*} - Value the field should have after the merge
+ */
+export function resolveField(rule, sourceValue, targetValue, record, ownedNamespaces = []) {
+  if (rule.respectManualEdits && record.manuallyEdited) return targetValue;
+  if (rule.requireRecordUpdate && !record.recordUpdate) return targetValue;
+
+  switch (rule.strategy) {
+    case 'target-wins':
+      return targetValue;
+
+    case 'newest-wins':
+      if (isEmpty(sourceValue)) return targetValue;
+      return record.hcNewer || isEmpty(targetValue) ? sourceValue : targetValue;
+
+    case 'non-empty-wins':
+      return isEmpty(targetValue) ? sourceValue : targetValue;
+
+    case 'union':
+      if (Array.isArray(sourceValue)) {
+        return mergeTags(targetValue || [], sourceValue, ownedNamespaces);
+      }
+      return isEmpty(sourceValue) ? targetValue : sourceValue;
+
+    case 'source-wins':
+    default:
+      return isEmpty(sourceValue) ? targetValue : sourceValue;
+  }
+}
+
+/**
+ * Build a minimal update payload for an existing Patch contact using the merge policy
+ *
+ * Only fields whose merged value differs from the existing contact are included, so
+ * good Patch data is never re-sent or blanked out.
+ *
+ * @param {object} patchData - Full contact payload transformed from Housecall Pro
+ * @param {object} existingContact - Existing Patch contact
+ * @param {object} record - Record-level flags from explainUpdateDecision()
+ * @param {object} options - { policy, ownedNamespaces }
+ * @returns {object} - { payload, changes } - payload is empty when nothing changed
+ */
+export function applyMergePolicy(patchData, existingContact, record, options = {}) {
+  const { policy = loadMergePolicy(), ownedNamespaces = [] } = options;
+  const desired = {};
+
+  for (const [field, sourceValue] of Object.entries(patchData)) {
+    desired[field] = resolveField(
+      getFieldRule(policy, field),
+      sourceValue,
+      existingContact[field],
+      record,
+      ownedNamespaces
+    );
   }
 
-  return { action: 'skip', contact: existingContact };
+  const changes = diffContact(desired, existingContact);
+  const payload = {};
+
+  changes.forEach(change => {
+    payload[change.field] = change.proposed;
+  });
+
+  return { payload, changes };
 }
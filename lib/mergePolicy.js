@@ -0,0 +1,94 @@
+/**
+ * Merge policy - Per-field rules for updating existing Patch contacts
+ *
+ * The policy lives in config/mergePolicy.json (override with MERGE_POLICY_PATH).
+ * Each field gets a strategy plus two gates:
+ *
+ * Strategies:
+ * - source-wins     Housecall Pro value overwrites Patch (empty HC values never clear Patch)
+ * - target-wins     Patch value is never changed by the sync
+ * - newest-wins     Value from whichever record has the newer updated_at
+ * - non-empty-wins  Housecall Pro value only fills fields that are empty in Patch
+ * - union           Arrays (tags) are merged; the sync's own namespaced tags are replaced
+ *
+ * Gates:
+ * - respectManualEdits   Leave the field alone if the contact was edited by hand in Patch
+ * - requireRecordUpdate  Only change the field when Housecall Pro data is newer or more
+ *                        complete than the Patch contact as a whole
+ *
+ * The shipped default (source-wins + both gates, tags union) is the original
+ * all-or-nothing behavior.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const MERGE_STRATEGIES = ['source-wins', 'target-wins', 'newest-wins', 'non-empty-wins', 'union'];
+
+const DEFAULT_POLICY_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'mergePolicy.json');
+
+let cachedPolicy = null;
+
+/**
+ * Validate a merge policy
+ * @param {object} policy - Parsed policy
+ * @returns {object} - The same policy
+ * @throws {Error} - If a strategy or gate is invalid
+ */
+export function validateMergePolicy(policy) {
+  if (!policy || typeof policy !== 'object') {
+    throw new Error('Merge policy must be an object');
+  }
+
+  const rules = { defaults: policy.defaults || {}, ...(policy.fields || {}) };
+
+  for (const [field, rule] of Object.entries(rules)) {
+    if (rule.strategy && !MERGE_STRATEGIES.includes(rule.strategy)) {
+      throw new Error(`Invalid merge strategy "${rule.strategy}" for ${field} (expected one of: ${MERGE_STRATEGIES.join(', ')})`);
+    }
+
+    for (const gate of ['respectManualEdits', 'requireRecordUpdate']) {
+      if (rule[gate] !== undefined && typeof rule[gate] !== 'boolean') {
+        throw new Error(`Merge policy option ${gate} for ${field} must be true or false`);
+      }
+    }
+  }
+
+  return policy;
+}
+
+/**
+ * Load the merge policy (cached after first load)
+ * @param {string} policyPath - Optional path to a policy JSON file
+ * @returns {object} - Validated merge policy
+ */
+export function loadMergePolicy(policyPath = null) {
+  if (cachedPolicy && !policyPath) return cachedPolicy;
+
+  const resolvedPath = policyPath || process.env.MERGE_POLICY_PATH || DEFAULT_POLICY_PATH;
+
+  try {
+    const policy = validateMergePolicy(JSON.parse(fs.readFileSync(resolvedPath, 'utf8')));
+    if (!policyPath) cachedPolicy = policy;
+    return policy;
+  } catch (error) {
+    throw new Error(`Failed to load merge policy from ${resolvedPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the effective rule for a field (field rule layered over defaults)
+ * @param {object} policy - Merge policy
+ * @param {string} field - Patch field name
+ * @returns {object} - { strategy, respectManualEdits, requireRecordUpdate }
+ */
+export function getFieldRule(policy, field) {
+  return {
+    strategy: 'source-wins',
+    respectManualEdits: true,
+    requireRecordUpdate: true,
+    ...(policy.defaults || {}),
+    ...((policy.fields || {})[field] || {})
+  };
+}
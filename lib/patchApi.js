@@ -3,7 +3,7 @@
  * Base URL: https://api.citygro.com/v2
  */
 
-import axios from 'axios';
+import { createHttpClient, getRateLimitConfig } from './httpClient.js';
 
 const PATCH_API_BASE = 'https://api.citygro.com/v2';
 
@@ -22,18 +22,38 @@ const getAccountId = () => {
   return '685275'; // Default account ID
 };
 
+let apiClient = null;
+
 /**
- * Create axios instance with auth headers
+ * Get the shared rate-limited client (created on first use, after .env is loaded)
  */
-const createApiClient = () => {
-  return axios.create({
-    baseURL: PATCH_API_BASE,
-    headers: {
-      'Authorization': `Bearer ${getApiKey()}`,
-      'Content-Type': 'application/json'
-    },
-    timeout: 30000 // 30 second timeout
-  });
+const getApiClient = () => {
+  if (!apiClient) {
+    apiClient = createHttpClient({
+      name: 'patch',
+      baseURL: PATCH_API_BASE,
+      getHeaders: () => ({
+        'Authorization': `Bearer ${getApiKey()}`,
+        'Content-Type': 'application/json'
+      }),
+      timeout: 30000, // 30 second timeout
+      ...getRateLimitConfig('PATCH')
+    });
+  }
+  return apiClient;
+};
+
+/**
+ * Wrap an API error, keeping the HTTP status so callers can tell a 404 from an outage
+ * @param {string} message - Error message prefix
+ * @param {Error} error - Original axios error
+ * @returns {Error} - Error with `status` (undefined for network errors) and `code` properties
+ */
+const apiError = (message, error) => {
+  const wrapped = new Error(`${message}: ${error.message}`);
+  wrapped.status = error.response?.status;
+  wrapped.code = error.code;
+  return wrapped;
 };
 
 /**
@@ -44,7 +64,7 @@ const createApiClient = () => {
  */
 export async function getContacts(page = 1, limit = 50) {
   try {
-    const api = createApiClient();
+    const api = getApiClient();
     const offset = (page - 1) * limit;
 
     const response = await api.get('/contacts', {
@@ -54,7 +74,7 @@ export async function getContacts(page = 1, limit = 50) {
     return response.data;
   } catch (error) {
     console.error('Error fetching contacts from Patch:', error.message);
-    throw new Error(`Failed to fetch contacts: ${error.message}`);
+    throw apiError('Failed to fetch contacts', error);
   }
 }
 
@@ -97,7 +117,7 @@ export async function getAllContacts() {
  */
 export async function createContact(contactData) {
   try {
-    const api = createApiClient();
+    const api = getApiClient();
 
     const response = await api.post('/contacts', contactData);
 
@@ -105,7 +125,7 @@ export async function createContact(contactData) {
     return response.data;
   } catch (error) {
     console.error('Error creating contact:', error.response?.data || error.message);
-    throw new Error(`Failed to create contact: ${error.message}`);
+    throw apiError('Failed to create contact', error);
   }
 }
 
@@ -117,15 +137,18 @@ export async function createContact(contactData) {
  */
 export async function updateContact(contactId, contactData) {
   try {
-    const api = createApiClient();
+    const api = getApiClient();
 
     const response = await api.patch(`/contacts/${contactId}`, contactData);
 
-    console.log(`✏️  Updated contact: ${contactData.first_name} ${contactData.last_name} (${contactData.phone})`);
+    const label = contactData.first_name
+      ? `${contactData.first_name} ${contactData.last_name} (${contactData.phone})`
+      : contactId;
+    console.log(`✏️  Updated contact: ${label}`);
     return response.data;
   } catch (error) {
     console.error('Error updating contact:', error.response?.data || error.message);
-    throw new Error(`Failed to update contact: ${error.message}`);
+    throw apiError('Failed to update contact', error);
   }
 }
 
@@ -136,12 +159,70 @@ export async function updateContact(contactId, contactData) {
  */
 export async function getContactById(contactId) {
   try {
-    const api = createApiClient();
+    const api = getApiClient();
 
     const response = await api.get(`/contacts/${contactId}`);
     return response.data;
   } catch (error) {
     console.error('Error fetching contact by ID:', error.message);
-    throw new Error(`Failed to fetch contact: ${error.message}`);
+    throw apiError('Failed to fetch contact', error);
+  }
+}
+
+/**
+ * Delete a contact from Patch Retention
+ * @param {string} contactId - Patch contact ID (_id field)
+ * @returns {Promise<boolean>} - True if deleted (false if it was already gone)
+ */
+export async function deleteContact(contactId) {
+  try {
+    const api = getApiClient();
+
+    await api.delete(`/contacts/${contactId}`);
+
+    console.log(`🗑️  Deleted contact: ${contactId}`);
+    return true;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      console.log(`Contact ${contactId} already deleted`);
+      return false;
+    }
+    console.error('Error deleting contact:', error.response?.data || error.message);
+    throw apiError('Failed to delete contact', error);
+  }
+}
+
+/**
+ * Get the account's custom field definitions
+ * @returns {Promise<array>} - Custom field definitions [{ id, key, name, type }]
+ */
+export async function getCustomFields() {
+  try {
+    const api = getApiClient();
+
+    const response = await api.get('/custom-fields');
+    return response.data.data || response.data || [];
+  } catch (error) {
+    console.error('Error fetching custom fields from Patch:', error.response?.data || error.message);
+    throw apiError('Failed to fetch custom fields', error);
+  }
+}
+
+/**
+ * Create a custom field definition
+ * @param {object} field - Field definition { key, name, type: 'text' | 'number' | 'date' }
+ * @returns {Promise<object>} - Created custom field definition
+ */
+export async function createCustomField(field) {
+  try {
+    const api = getApiClient();
+
+    const response = await api.post('/custom-fields', field);
+
+    console.log(`✅ Created custom field: ${field.name} (${field.key})`);
+    return response.data;
+  } catch (error) {
+    console.error('Error creating custom field:', error.response?.data || error.message);
+    throw apiError('Failed to create custom field', error);
   }
 }
@@ -0,0 +1,184 @@
+/**
+ * Phone numbers - E.164 parsing and mobile/landline classification
+ *
+ * Numbers without a country code are read in the default region
+ * (PHONE_DEFAULT_REGION, default US). Numbers written with `+` or `00` keep
+ * their own country code, so international customers match and sync too.
+ */
+
+// Calling code, valid national number lengths, trunk prefix and mobile prefixes
+// (regions without mobile prefixes - e.g. the NANP - are classified by field instead)
+const REGIONS = {
+  US: { code: '1', lengths: [10], trunk: '' },
+  CA: { code: '1', lengths: [10], trunk: '' },
+  MX: { code: '52', lengths: [10], trunk: '' },
+  GB: { code: '44', lengths: [9, 10], trunk: '0', mobilePrefixes: ['7'] },
+  IE: { code: '353', lengths: [7, 8, 9], trunk: '0', mobilePrefixes: ['8'] },
+  AU: { code: '61', lengths: [9], trunk: '0', mobilePrefixes: ['4'] },
+  NZ: { code: '64', lengths: [8, 9, 10], trunk: '0', mobilePrefixes: ['2'] },
+  DE: { code: '49', lengths: [10, 11], trunk: '0', mobilePrefixes: ['15', '16', '17'] }
+};
+
+// Housecall Pro phone fields, in primary-phone preference order
+export const CUSTOMER_PHONE_FIELDS = ['mobile_number', 'home_number', 'work_number'];
+
+const FIELD_TYPES = {
+  mobile_number: 'mobile',
+  home_number: 'landline',
+  work_number: 'landline'
+};
+
+const EXTENSION_PATTERN = /\s*(?:ext\.?|extension|x|#)\s*(\d{1,6})\s*$/i;
+
+/**
+ * Get the region used for numbers without a country code
+ * @returns {string} - Region code (e.g. 'US')
+ * @throws {Error} - If PHONE_DEFAULT_REGION is not a supported region
+ */
+export function getDefaultRegion() {
+  const region = (process.env.PHONE_DEFAULT_REGION || 'US').toUpperCase();
+  if (!REGIONS[region]) {
+    throw new Error(`Invalid PHONE_DEFAULT_REGION "${region}" (expected one of: ${Object.keys(REGIONS).join(', ')})`);
+  }
+  return region;
+}
+
+/**
+ * Find the region of an international number from its digits
+ * @param {string} digits - Digits after the `+`
+ * @returns {object|null} - { region, code, nationalNumber } or null if the code is unknown
+ */
+function splitCountryCode(digits) {
+  const candidates = Object.entries(REGIONS)
+    .filter(([, def]) => digits.startsWith(def.code) && def.lengths.includes(digits.length - def.code.length))
+    .sort(([, a], [, b]) => b.code.length - a.code.length);
+
+  if (candidates.length === 0) return null;
+
+  const [region, def] = candidates[0];
+  return { region, code: def.code, nationalNumber: digits.substring(def.code.length) };
+}
+
+/**
+ * Parse a phone number
+ * @param {string} input - Phone number as entered (e.g. "(801) 555-1234 x12", "+44 7700 900123")
+ * @param {string} region - Region for numbers without a country code (default: PHONE_DEFAULT_REGION)
+ * @returns {object|null} - { e164, countryCode, nationalNumber, region, extension }, or null if invalid
+ */
+export function parsePhone(input, region = getDefaultRegion()) {
+  if (!input) return null;
+
+  let text = String(input).trim();
+  let extension = null;
+
+  const extensionMatch = text.match(EXTENSION_PATTERN);
+  if (extensionMatch) {
+    extension = extensionMatch[1];
+    text = text.substring(0, extensionMatch.index);
+  }
+
+  const international = text.startsWith('+') || text.startsWith('00');
+  let digits = text.replace(/\D/g, '');
+
+  if (international) {
+    if (text.startsWith('00')) digits = digits.substring(2);
+    if (digits.length < 8 || digits.length > 15) return null;
+
+    const split = splitCountryCode(digits);
+    return {
+      e164: `+${digits}`,
+      countryCode: split ? split.code : null,
+      nationalNumber: split ? split.nationalNumber : null,
+      region: split ? split.region : null,
+      extension
+    };
+  }
+
+  const def = REGIONS[region];
+  if (!def) return null;
+
+  // National format with trunk prefix (e.g. UK "07700 900123")
+  if (def.trunk && digits.startsWith(def.trunk) && def.lengths.includes(digits.length - def.trunk.length)) {
+    digits = digits.substring(def.trunk.length);
+  }
+
+  // Country code without the + (e.g. US "18015551234")
+  if (!def.lengths.includes(digits.length) && digits.startsWith(def.code) &&
+    def.lengths.includes(digits.length - def.code.length)) {
+    digits = digits.substring(def.code.length);
+  }
+
+  if (!def.lengths.includes(digits.length)) return null;
+
+  return {
+    e164: `+${def.code}${digits}`,
+    countryCode: def.code,
+    nationalNumber: digits,
+    region,
+    extension
+  };
+}
+
+/**
+ * Convert a phone number to E.164
+ * @param {string} input - Phone number as entered
+ * @param {string} region - Region for numbers without a country code (default: PHONE_DEFAULT_REGION)
+ * @returns {string|null} - E.164 number (e.g. "+18015551234") or null if invalid
+ */
+export function toE164(input, region = getDefaultRegion()) {
+  const parsed = parsePhone(input, region);
+  return parsed ? parsed.e164 : null;
+}
+
+/**
+ * Classify a parsed number as mobile or landline
+ * Numbers with an extension are landlines; regions with distinct mobile prefixes
+ * are classified by number, others by the Housecall Pro field it came from.
+ * @param {object} parsed - Result of parsePhone()
+ * @param {string} field - Housecall Pro field (e.g. 'mobile_number')
+ * @returns {string} - 'mobile' | 'landline' | 'unknown'
+ */
+export function classifyPhone(parsed, field = null) {
+  if (!parsed) return 'unknown';
+  if (parsed.extension) return 'landline';
+
+  const def = REGIONS[parsed.region];
+  if (def?.mobilePrefixes && parsed.nationalNumber) {
+    return def.mobilePrefixes.some(prefix => parsed.nationalNumber.startsWith(prefix)) ? 'mobile' : 'landline';
+  }
+
+  return FIELD_TYPES[field] || 'unknown';
+}
+
+/**
+ * Get every valid phone number on a Housecall Pro customer
+ * @param {object} customer - Housecall Pro customer
+ * @param {string} region - Region for numbers without a country code (default: PHONE_DEFAULT_REGION)
+ * @returns {array} - [{ e164, extension, type, field }] without duplicates, in field order
+ */
+export function getCustomerPhones(customer, region = getDefaultRegion()) {
+  const phones = [];
+
+  CUSTOMER_PHONE_FIELDS.forEach(field => {
+    const parsed = parsePhone(customer[field], region);
+    if (!parsed || phones.some(phone => phone.e164 === parsed.e164)) return;
+
+    phones.push({
+      e164: parsed.e164,
+      extension: parsed.extension,
+      type: classifyPhone(parsed, field),
+      field
+    });
+  });
+
+  return phones;
+}
+
+/**
+ * Pick the number Patch should text
+ * @param {array} phones - Result of getCustomerPhones()
+ * @returns {object|null} - First mobile number, else the first number, else null
+ */
+export function pickPrimaryPhone(phones) {
+  return phones.find(phone => phone.type === 'mobile') || phones[0] || null;
+}
@@ -0,0 +1,192 @@
+/**
+ * Recency refresh - Keep time-derived tags current between webhooks
+ *
+ * `Recency:` buckets (see config/segments.json) depend on today's date, so a
+ * customer's bucket goes stale when no webhook fires for them. A refresh pass walks
+ * every Patch contact tagged `Source:housecallpro`, recomputes the bucket from its
+ * `LastService:` tag and, only for contacts whose bucket changed, confirms the last
+ * service date with Housecall Pro (getLastServiceDate) and updates the tags.
+ *
+ * Like reconciliation, a pass that doesn't fit in one invocation saves its position
+ * in the store and continues on the next call. The cron runs every few minutes so a
+ * pass finishes quickly; a new pass starts only once RECENCY_REFRESH_INTERVAL_HOURS
+ * (default 24) have passed since the last one completed.
+ */
+
+import { getStore } from './store.js';
+import { getContacts, updateContact } from './patchApi.js';
+import { getLastServiceDate } from './housecallApi.js';
+import { getHousecallCustomerId } from './idMap.js';
+import { diffContact, mergeTags } from './merge.js';
+import { buildRecencyTags, RECENCY_TAG_NAMESPACES } from './transform.js';
+import { loadSegmentConfig, getRecencyBucket } from './segments.js';
+import { recordWrite } from './echoGuard.js';
+import { buildCustomFields } from './customFields.js';
+
+const STATE_KEY = 'recency:state';
+const PAGE_SIZE = 100;
+const CHUNK_SIZE = 10; // Contacts refreshed between deadline checks
+const DEFAULT_INTERVAL_HOURS = 24; // Buckets are days wide - one pass a day is enough
+
+const getIntervalHours = () => {
+  const hours = Number(process.env.RECENCY_REFRESH_INTERVAL_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_INTERVAL_HOURS;
+};
+
+/**
+ * Get the value of a namespaced tag (e.g. 'Recency' → '3-6m')
+ * @param {array} tags - Contact tags
+ * @param {string} namespace - Tag namespace
+ * @returns {string|null} - Tag value or null
+ */
+function getTagValue(tags, namespace) {
+  const tag = tags.find(t => String(t).startsWith(`${namespace}:`));
+  return tag ? tag.substring(namespace.length + 1) : null;
+}
+
+/**
+ * Load recency refresh state
+ * @returns {Promise<object>} - { lastCompletedAt, lastResults, pass }
+ */
+export async function getRecencyState() {
+  const state = await getStore().get(STATE_KEY);
+  return state || { lastCompletedAt: null, lastResults: null, pass: null };
+}
+
+/**
+ * Refresh the time-derived tags of one contact
+ * @param {object} contact - Patch contact
+ * @param {object} config - Segment configuration
+ * @param {Date} now - Reference time
+ * @returns {Promise<string>} - 'updated' | 'unchanged' | 'skipped'
+ */
+async function refreshContact(contact, config, now) {
+  const tags = contact.tags || [];
+
+  // No service history yet - job webhooks and reconciliation add it
+  const taggedServiceDate = getTagValue(tags, 'LastService');
+  if (!taggedServiceDate) return 'skipped';
+
+  const expectedBucket = getRecencyBucket(taggedServiceDate, config.recencyBuckets, now);
+  if (getTagValue(tags, 'Recency') === expectedBucket) return 'unchanged';
+
+  // Bucket moved - confirm with Housecall Pro in case a job webhook was missed
+  // (getLastServiceDate returns null when jobs can't be fetched; keep the tagged date then)
+  const customerId = getTagValue(tags, 'HCID') || await getHousecallCustomerId(contact._id);
+  const lastServiceDate = (customerId && await getLastServiceDate(customerId)) || taggedServiceDate;
+
+  const refreshedTags = mergeTags(tags, buildRecencyTags(lastServiceDate, config, now), RECENCY_TAG_NAMESPACES);
+  const update = { tags: refreshedTags };
+  const customFields = buildCustomFields({ lastServiceDate });
+  if (customFields) {
+    update.custom_fields = customFields;
+  }
+
+  if (diffContact(update, contact).length === 0) return 'unchanged';
+
+  await recordWrite('patch', contact._id, update);
+  await updateContact(contact._id, update);
+  console.log(`🕒 Refreshed recency: ${contact.first_name || ''} ${contact.last_name || ''} → ${getTagValue(refreshedTags, 'Recency')}`);
+
+  return 'updated';
+}
+
+/**
+ * Refresh recency tags on synced contacts, stopping at the deadline
+ * @param {object} options - Refresh options
+ * @param {number} options.deadline - Stop starting new work after this time (ms timestamp)
+ * @param {Date} options.now - Reference time (default: now)
+ * @returns {Promise<object>} - { done, processed, results, page } (plus `nextPassAt` when no pass is due)
+ */
+export async function runRecencyRefresh(options = {}) {
+  const { deadline = Infinity, now = new Date() } = options;
+
+  const store = getStore();
+  const config = loadSegmentConfig();
+  const state = await getRecencyState();
+
+  // The last pass finished recently - nothing to do until the next one is due
+  if (!state.pass && state.lastCompletedAt) {
+    const nextPassAt = new Date(new Date(state.lastCompletedAt).getTime() + getIntervalHours() * 60 * 60 * 1000);
+    if (now < nextPassAt) {
+      console.log(`⏭️  Recency refresh not due until ${nextPassAt.toISOString()}`);
+      return { done: true, processed: 0, results: state.lastResults, nextPassAt: nextPassAt.toISOString() };
+    }
+  }
+  const pass = state.pass || {
+    startedAt: new Date().toISOString(),
+    page: 1,
+    offset: 0,
+    results: { checked: 0, updated: 0, unchanged: 0, skipped: 0, errors: 0 }
+  };
+
+  console.log(`\n🕒 Refreshing recency tags (page ${pass.page}, offset ${pass.offset})\n`);
+
+  let processed = 0;
+  let done = false;
+
+  try {
+    while (!done && Date.now() < deadline) {
+      const result = await getContacts(pass.page, PAGE_SIZE);
+      const contacts = result.data || [];
+
+      const startOffset = pass.offset;
+      const remaining = contacts.slice(startOffset);
+
+      for (let i = 0; i < remaining.length && Date.now() < deadline; i += CHUNK_SIZE) {
+        const chunk = remaining.slice(i, i + CHUNK_SIZE);
+
+        for (const contact of chunk) {
+          if (!(contact.tags || []).includes('Source:housecallpro')) continue;
+
+          pass.results.checked++;
+          try {
+            pass.results[await refreshContact(contact, config, now)]++;
+          } catch (error) {
+            // Left for the next pass - the bucket will still differ
+            console.error(`❌ Error refreshing recency for contact ${contact._id}:`, error.message);
+            pass.results.errors++;
+          }
+        }
+
+        pass.offset += chunk.length;
+        processed += chunk.length;
+        await store.set(STATE_KEY, { ...state, pass });
+      }
+
+      // Out of time mid-page - resume from pass.offset next invocation
+      if (pass.offset < startOffset + remaining.length) {
+        break;
+      }
+
+      if (contacts.length === 0 || result.to >= result.total_count) {
+        done = true;
+      } else {
+        pass.page++;
+        pass.offset = 0;
+        await store.set(STATE_KEY, { ...state, pass });
+      }
+    }
+  } catch (error) {
+    // Keep the pass position so the next invocation continues where this one failed
+    await store.set(STATE_KEY, { ...state, pass });
+    console.error('Error refreshing recency tags:', error.message);
+    throw new Error(`Failed to refresh recency tags: ${error.message}`);
+  }
+
+  if (done) {
+    await store.set(STATE_KEY, {
+      lastCompletedAt: new Date().toISOString(),
+      lastResults: pass.results,
+      pass: null
+    });
+
+    console.log(`✅ Recency refresh complete - ${pass.results.updated} contacts updated`);
+    return { done: true, processed, results: pass.results };
+  }
+
+  await store.set(STATE_KEY, { ...state, pass });
+  console.log(`⏸️  Recency refresh paused at page ${pass.page}, offset ${pass.offset} - continuing next run`);
+
+  return { done: false, processed, results: pass.results, page: pass.page };
+}
@@ -0,0 +1,252 @@
+/**
+ * Reconciliation - Catch up on customers whose webhooks were missed
+ *
+ * Walks Housecall Pro customers newest-updated first and syncs each one until it
+ * reaches the watermark (the newest `updated_at` seen by the last complete pass).
+ * A pass that doesn't fit in one invocation saves its position in the store and
+ * continues on the next call; the watermark only moves once a pass completes.
+ *
+ * Sorting newest first means customers updated mid-pass push older ones down a
+ * page - those are seen twice (a no-op sync), never skipped.
+ *
+ * Customers deleted in Housecall Pro drop out of the listing instead of showing
+ * up as archived, so a deletion sweep (once a day, also resumable) looks up every
+ * mapped customer ID and applies the archive policy to the ones that return 404.
+ */
+
+import { getStore } from './store.js';
+import { getCustomers, getCustomerById } from './housecallApi.js';
+import { syncBatch, syncCustomerRemoved } from './sync.js';
+import { listMappedCustomerIds } from './idMap.js';
+
+const STATE_KEY = 'reconcile:state';
+const DELETIONS_KEY = 'reconcile:deletions';
+const PAGE_SIZE = 50;
+const CHUNK_SIZE = 10; // Customers synced between deadline checks
+const DEFAULT_LOOKBACK_HOURS = 24;
+const DEFAULT_SWEEP_INTERVAL_HOURS = 24;
+
+const getInitialWatermark = () => {
+  const hours = Number(process.env.RECONCILE_INITIAL_LOOKBACK_HOURS);
+  const lookback = Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_LOOKBACK_HOURS;
+  return new Date(Date.now() - lookback * 60 * 60 * 1000).toISOString();
+};
+
+const getSweepIntervalHours = () => {
+  const hours = Number(process.env.RECONCILE_DELETION_SWEEP_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_SWEEP_INTERVAL_HOURS;
+};
+
+/**
+ * Load reconciliation state
+ * @returns {Promise<object>} - { watermark, lastCompletedAt, pass }
+ */
+export async function getReconcileState() {
+  const state = await getStore().get(STATE_KEY);
+  return state || { watermark: null, lastCompletedAt: null, pass: null };
+}
+
+/**
+ * Start a new pass from the current watermark
+ * @param {object} state - Reconciliation state
+ * @returns {object} - Pass state
+ */
+function startPass(state) {
+  return {
+    startedAt: new Date().toISOString(),
+    since: state.watermark || getInitialWatermark(),
+    newWatermark: null,
+    page: 1,
+    offset: 0,
+    results: { created: 0, updated: 0, skipped: 0, archived: 0, errors: 0, queued: 0 }
+  };
+}
+
+/**
+ * Sync customers updated since the watermark, stopping at the deadline
+ * @param {object} options - Reconcile options
+ * @param {number} options.deadline - Stop starting new work after this time (ms timestamp)
+ * @returns {Promise<object>} - { done, since, watermark, processed, results, page }
+ */
+export async function runReconcile(options = {}) {
+  const { deadline = Infinity } = options;
+
+  const store = getStore();
+  const state = await getReconcileState();
+  const pass = state.pass || startPass(state);
+  const since = new Date(pass.since);
+
+  console.log(`\n🔎 Reconciling customers updated since ${pass.since} (page ${pass.page}, offset ${pass.offset})\n`);
+
+  let processed = 0;
+  let done = false;
+
+  try {
+    while (!done && Date.now() < deadline) {
+      const result = await getCustomers(pass.page, PAGE_SIZE, { sortBy: 'updated_at', sortDirection: 'desc' });
+      const customers = result.customers || [];
+
+      // The newest customer of the pass becomes the next watermark
+      if (!pass.newWatermark && customers[0]?.updated_at) {
+        pass.newWatermark = customers[0].updated_at;
+      }
+
+      const startOffset = pass.offset;
+      const remaining = customers.slice(startOffset);
+      const staleIndex = remaining.findIndex(customer => new Date(customer.updated_at) <= since);
+      const changed = staleIndex === -1 ? remaining : remaining.slice(0, staleIndex);
+
+      for (let i = 0; i < changed.length && Date.now() < deadline; i += CHUNK_SIZE) {
+        const chunk = changed.slice(i, i + CHUNK_SIZE);
+        const batchResults = await syncBatch(chunk, { isInitialSync: false });
+
+        ['created', 'updated', 'skipped', 'archived', 'errors', 'queued'].forEach(key => {
+          pass.results[key] = (pass.results[key] || 0) + batchResults[key];
+        });
+
+        pass.offset += chunk.length;
+        processed += chunk.length;
+        await store.set(STATE_KEY, { ...state, pass });
+      }
+
+      // Out of time mid-page - resume from pass.offset next invocation
+      if (pass.offset < startOffset + changed.length) {
+        break;
+      }
+
+      // Reached the watermark or the last page
+      if (staleIndex !== -1 || pass.page >= (result.total_pages || 1) || customers.length === 0) {
+        done = true;
+      } else {
+        pass.page++;
+        pass.offset = 0;
+        await store.set(STATE_KEY, { ...state, pass });
+      }
+    }
+  } catch (error) {
+    // Keep the pass position so the next invocation continues where this one failed
+    await store.set(STATE_KEY, { ...state, pass });
+    console.error('Error reconciling customers:', error.message);
+    throw new Error(`Failed to reconcile customers: ${error.message}`);
+  }
+
+  if (done) {
+    const watermark = pass.newWatermark || pass.since;
+    await store.set(STATE_KEY, {
+      watermark,
+      lastCompletedAt: new Date().toISOString(),
+      lastResults: pass.results,
+      pass: null
+    });
+
+    console.log(`✅ Reconcile pass complete - watermark moved to ${watermark}`);
+    return { done: true, since: pass.since, watermark, processed, results: pass.results };
+  }
+
+  await store.set(STATE_KEY, { ...state, pass });
+  console.log(`⏸️  Reconcile paused at page ${pass.page}, offset ${pass.offset} - continuing next run`);
+
+  return { done: false, since: pass.since, watermark: state.watermark, processed, results: pass.results, page: pass.page };
+}
+
+/**
+ * Load deletion sweep state
+ * @returns {Promise<object>} - { lastCompletedAt, lastResults, sweep }
+ */
+export async function getDeletionSweepState() {
+  const state = await getStore().get(DELETIONS_KEY);
+  return state || { lastCompletedAt: null, lastResults: null, sweep: null };
+}
+
+/**
+ * Check whether a customer still exists in Housecall Pro
+ * @param {string} customerId - Housecall Pro customer ID
+ * @returns {Promise<boolean>} - False if Housecall Pro returns 404
+ */
+async function customerExists(customerId) {
+  try {
+    await getCustomerById(customerId);
+    return true;
+  } catch (error) {
+    if (error.status === 404) return false;
+    throw error;
+  }
+}
+
+/**
+ * Apply the archive policy to mapped customers deleted in Housecall Pro, stopping at the deadline
+ * @param {object} options - Sweep options
+ * @param {number} options.deadline - Stop starting new work after this time (ms timestamp)
+ * @param {Date} options.now - Reference time (default: now)
+ * @returns {Promise<object>} - { done, checked, results } (plus `nextSweepAt` when no sweep is due)
+ */
+export async function runDeletionSweep(options = {}) {
+  const { deadline = Infinity, now = new Date() } = options;
+
+  const store = getStore();
+  const state = await getDeletionSweepState();
+
+  // The last sweep finished recently - nothing to do until the next one is due
+  if (!state.sweep && state.lastCompletedAt) {
+    const nextSweepAt = new Date(new Date(state.lastCompletedAt).getTime() + getSweepIntervalHours() * 60 * 60 * 1000);
+    if (now < nextSweepAt) {
+      return { done: true, checked: 0, results: state.lastResults, nextSweepAt: nextSweepAt.toISOString() };
+    }
+  }
+
+  const sweep = state.sweep || {
+    startedAt: new Date().toISOString(),
+    cursor: null,
+    results: { checked: 0, removed: 0, errors: 0 }
+  };
+
+  console.log(`\n🗑️  Checking mapped customers for deletions${sweep.cursor ? ` (after ${sweep.cursor})` : ''}\n`);
+
+  let checked = 0;
+  let done = true;
+
+  try {
+    // IDs are sorted, so the cursor survives mappings added or removed between runs
+    const customerIds = (await listMappedCustomerIds()).filter(id => sweep.cursor === null || id > sweep.cursor);
+
+    for (let i = 0; i < customerIds.length; i += CHUNK_SIZE) {
+      if (Date.now() >= deadline) {
+        done = false;
+        break;
+      }
+
+      for (const customerId of customerIds.slice(i, i + CHUNK_SIZE)) {
+        if (!(await customerExists(customerId))) {
+          const result = await syncCustomerRemoved({ id: customerId }, { reason: 'deleted' });
+          if (result.action === 'archived') sweep.results.removed++;
+          if (result.action === 'error') sweep.results.errors++;
+        }
+
+        sweep.results.checked++;
+        sweep.cursor = customerId;
+        checked++;
+      }
+
+      await store.set(DELETIONS_KEY, { ...state, sweep });
+    }
+  } catch (error) {
+    // Keep the cursor so the next invocation continues where this one failed
+    await store.set(DELETIONS_KEY, { ...state, sweep });
+    console.error('Error checking for deleted customers:', error.message);
+    throw new Error(`Failed to check for deleted customers: ${error.message}`);
+  }
+
+  if (done) {
+    await store.set(DELETIONS_KEY, {
+      lastCompletedAt: new Date().toISOString(),
+      lastResults: sweep.results,
+      sweep: null
+    });
+
+    console.log(`✅ Deletion sweep complete - ${sweep.results.removed} deleted customers archived`);
+    return { done: true, checked, results: sweep.results };
+  }
+
+  console.log(`⏸️  Deletion sweep paused after ${sweep.cursor} - continuing next run`);
+  return { done: false, checked, results: sweep.results };
+}
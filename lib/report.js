@@ -0,0 +1,71 @@
+/**
+ * Reports - Write CSV + JSON reports for review in a spreadsheet
+ *
+ * Reports are written to REPORTS_DIR (default: reports/).
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_REPORTS_DIR = 'reports';
+
+/**
+ * Escape a value for CSV
+ * @param {*} value - Cell value (arrays are joined with "; ", objects JSON-encoded)
+ * @returns {string} - CSV-safe cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (Array.isArray(value)) {
+    text = value.map(item => (typeof item === 'object' ? JSON.stringify(item) : String(item))).join('; ');
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert rows to CSV
+ * @param {array} rows - Array of flat objects
+ * @param {array} columns - Column keys, in order (default: keys of the first row)
+ * @returns {string} - CSV text with header row
+ */
+export function toCsv(rows, columns = null) {
+  const header = columns || Object.keys(rows[0] || {});
+  const lines = [header.join(',')];
+
+  rows.forEach(row => {
+    lines.push(header.map(column => toCsvCell(row[column])).join(','));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write a report as both <name>.csv and <name>.json
+ * @param {string} name - Report file name without extension (e.g. 'bulk-sync-plan-20250301-142530')
+ * @param {array} rows - Report rows (flat objects for the CSV)
+ * @param {object} options - Report options
+ * @param {array} options.columns - CSV columns, in order
+ * @param {object} options.json - Data for the JSON file (default: { generatedAt, rows })
+ * @returns {object} - { csvPath, jsonPath }
+ */
+export function writeReport(name, rows, options = {}) {
+  const { columns = null, json = null } = options;
+
+  const dir = path.resolve(process.env.REPORTS_DIR || DEFAULT_REPORTS_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const csvPath = path.join(dir, `${name}.csv`);
+  const jsonPath = path.join(dir, `${name}.json`);
+
+  fs.writeFileSync(csvPath, toCsv(rows, columns));
+  fs.writeFileSync(jsonPath, JSON.stringify(json || { generatedAt: new Date().toISOString(), rows }, null, 2));
+
+  return { csvPath, jsonPath };
+}
@@ -0,0 +1,229 @@
+/**
+ * Retry queue - Persist failed Patch writes and retry them with backoff
+ *
+ * Failed syncs are stored as queue entries keyed by type + Housecall Pro ID, so a
+ * redelivered webhook updates the existing entry instead of adding a duplicate.
+ * After RETRY_MAX_ATTEMPTS failures (or a non-retryable error such as a 400
+ * validation error) the entry moves to the dead-letter list for manual review.
+ * A later successful sync of the same record removes its pending entry, so a
+ * stale payload is never replayed over newer data.
+ */
+
+import { getStore } from './store.js';
+
+const PENDING_PREFIX = 'retry:pending:';
+const DEAD_PREFIX = 'retry:dead:';
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 60 * 1000; // 1 minute
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+const getMaxAttempts = () => {
+  const configured = parseInt(process.env.RETRY_MAX_ATTEMPTS, 10);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_MAX_ATTEMPTS;
+};
+
+/**
+ * Check if an error is worth retrying
+ * Network errors/timeouts (no status, but an error code), 429 and 5xx are transient;
+ * other 4xx and plain code errors are not.
+ * @param {Error} error - Error with optional `status` and `code` properties
+ * @returns {boolean} - True if the operation should be retried
+ */
+export function isRetryableError(error) {
+  const status = error?.status;
+  if (!status) return Boolean(error?.code);
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Calculate the delay before the next attempt (exponential backoff)
+ * @param {number} attempts - Number of failed attempts so far
+ * @returns {number} - Delay in milliseconds
+ */
+export function getBackoffDelay(attempts) {
+  return Math.min(BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_DELAY_MS);
+}
+
+/**
+ * Build the queue entry ID for a payload
+ * @param {string} type - Entry type ('customer' | 'job' | 'patch_contact')
+ * @param {object} payload - Housecall Pro customer or job, or Patch contact
+ * @returns {string} - Entry ID
+ */
+function getEntryId(type, payload) {
+  return `${type}:${payload.id || payload._id || `${payload.first_name}-${payload.last_name}-${Date.now()}`}`;
+}
+
+/**
+ * Add a failed sync to the retry queue
+ * @param {string} type - Entry type ('customer' | 'job' | 'patch_contact')
+ * @param {object} payload - Housecall Pro customer or job, or Patch contact, to re-sync
+ * @param {Error} error - Error from the failed attempt
+ * @param {object} options - Sync options to reuse on retry (must be JSON-serializable)
+ * @returns {Promise<object>} - Queue entry (in the pending or dead-letter list)
+ */
+export async function enqueueFailedSync(type, payload, error, options = {}) {
+  const store = getStore();
+  const id = getEntryId(type, payload);
+  const now = Date.now();
+
+  const existing = await store.get(`${PENDING_PREFIX}${id}`);
+  const attempts = (existing?.attempts || 0) + 1;
+
+  const entry = {
+    id,
+    type,
+    payload,
+    options,
+    attempts,
+    lastError: error.message,
+    lastStatus: error.status || null,
+    createdAt: existing?.createdAt || new Date(now).toISOString(),
+    updatedAt: new Date(now).toISOString(),
+    nextAttemptAt: new Date(now + getBackoffDelay(attempts)).toISOString()
+  };
+
+  if (!isRetryableError(error) || attempts >= getMaxAttempts()) {
+    await moveToDeadLetter(entry);
+    return { ...entry, deadLetter: true };
+  }
+
+  await store.set(`${PENDING_PREFIX}${id}`, entry);
+  console.log(`🔁 Queued ${id} for retry (attempt ${attempts}, next at ${entry.nextAttemptAt})`);
+
+  return entry;
+}
+
+/**
+ * Move an entry to the dead-letter list
+ * @param {object} entry - Queue entry
+ */
+async function moveToDeadLetter(entry) {
+  const store = getStore();
+
+  await store.set(`${DEAD_PREFIX}${entry.id}`, {
+    ...entry,
+    nextAttemptAt: null,
+    deadLetteredAt: new Date().toISOString()
+  });
+  await store.delete(`${PENDING_PREFIX}${entry.id}`);
+
+  console.error(`☠️  Moved ${entry.id} to dead letters after ${entry.attempts} attempt(s): ${entry.lastError}`);
+}
+
+/**
+ * Load all entries under a key prefix
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<array>} - Entries sorted by creation time
+ */
+async function loadEntries(prefix) {
+  const store = getStore();
+  const keys = await store.list(prefix);
+  const entries = await Promise.all(keys.map(key => store.get(key)));
+
+  return entries
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * List pending retry entries
+ * @returns {Promise<array>} - Pending entries
+ */
+export async function listPending() {
+  return loadEntries(PENDING_PREFIX);
+}
+
+/**
+ * List entries that are due for another attempt
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {Promise<array>} - Due entries
+ */
+export async function listDue(now = Date.now()) {
+  const pending = await listPending();
+  return pending.filter(entry => new Date(entry.nextAttemptAt).getTime() <= now);
+}
+
+/**
+ * List dead-letter entries
+ * @returns {Promise<array>} - Dead-letter entries
+ */
+export async function listDeadLetters() {
+  return loadEntries(DEAD_PREFIX);
+}
+
+/**
+ * Remove an entry after it succeeded
+ * @param {object} entry - Queue entry
+ */
+export async function markSucceeded(entry) {
+  await getStore().delete(`${PENDING_PREFIX}${entry.id}`);
+  console.log(`✅ Retry succeeded: ${entry.id}`);
+}
+
+/**
+ * Remove the pending entry for a record that has since synced successfully
+ * @param {string} type - Entry type ('customer' | 'job' | 'archive' | 'patch_contact')
+ * @param {object} payload - Housecall Pro customer or job, or Patch contact, that was synced
+ * @returns {Promise<boolean>} - True if a pending entry was removed
+ */
+export async function clearPending(type, payload) {
+  if (!payload?.id && !payload?._id) return false;
+
+  const store = getStore();
+  const id = getEntryId(type, payload);
+  const existing = await store.get(`${PENDING_PREFIX}${id}`);
+
+  if (!existing) return false;
+
+  await store.delete(`${PENDING_PREFIX}${id}`);
+  console.log(`🧹 Cleared pending retry ${id} (synced since it was queued)`);
+  return true;
+}
+
+/**
+ * Record a failed retry attempt (reschedules or dead-letters the entry)
+ * @param {object} entry - Queue entry
+ * @param {Error} error - Error from the attempt
+ * @returns {Promise<object>} - Updated entry
+ */
+export async function markFailed(entry, error) {
+  return enqueueFailedSync(entry.type, entry.payload, error, entry.options);
+}
+
+/**
+ * Move a dead-letter entry back into the pending queue
+ * @param {string} id - Entry ID
+ * @returns {Promise<object|null>} - Re-queued entry, or null if not found
+ */
+export async function requeueDeadLetter(id) {
+  const store = getStore();
+  const entry = await store.get(`${DEAD_PREFIX}${id}`);
+
+  if (!entry) {
+    return null;
+  }
+
+  const { deadLetteredAt, ...rest } = entry;
+  const requeued = {
+    ...rest,
+    attempts: 0,
+    updatedAt: new Date().toISOString(),
+    nextAttemptAt: new Date().toISOString()
+  };
+
+  await store.set(`${PENDING_PREFIX}${id}`, requeued);
+  await store.delete(`${DEAD_PREFIX}${id}`);
+
+  console.log(`♻️  Re-queued dead letter ${id}`);
+  return requeued;
+}
+
+/**
+ * Permanently remove a dead-letter entry
+ * @param {string} id - Entry ID
+ */
+export async function discardDeadLetter(id) {
+  await getStore().delete(`${DEAD_PREFIX}${id}`);
+}
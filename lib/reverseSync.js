@@ -0,0 +1,193 @@
+/**
+ * Reverse sync - Push Patch Retention changes back to Housecall Pro
+ *
+ * Handles what only Patch knows about:
+ * - Opt-outs (customer texted STOP or unsubscribed) → HC marketing opt-out
+ * - Email corrections made by staff in Patch → HC email
+ * - Tags added in Patch → added to the HC customer (never removed)
+ *
+ * notifications_enabled is left alone - it only covers transactional messages
+ * (appointment reminders), which a marketing opt-out must not turn off.
+ *
+ * The Housecall Pro customer is resolved by the `HCID:` tag written by the
+ * forward sync, then the stored ID mapping, then phone number / email search.
+ */
+
+import { getCustomerById, searchCustomers, updateCustomer } from './housecallApi.js';
+import { getHousecallCustomerId, saveMapping } from './idMap.js';
+import { normalizeEmail } from './dedup.js';
+import { parsePhone, getCustomerPhones } from './phone.js';
+import { OWNED_TAG_NAMESPACES, JOB_TAG_NAMESPACES, LIFECYCLE_TAG_NAMESPACES, SEGMENT_TAG_NAMESPACES } from './transform.js';
+import { enqueueFailedSync } from './retryQueue.js';
+import { recordWrite } from './echoGuard.js';
+import { recordAudit } from './audit.js';
+import { clearDefaultSmsConsent } from './consent.js';
+
+// Tags the forward sync writes itself - never copied back to Housecall Pro
+const SYNC_TAG_NAMESPACES = [...OWNED_TAG_NAMESPACES, ...JOB_TAG_NAMESPACES, ...LIFECYCLE_TAG_NAMESPACES, ...SEGMENT_TAG_NAMESPACES];
+const SYNC_TAGS = ['Has-Service-History'];
+
+/**
+ * Check if a Patch contact has explicitly opted out (unsubscribe event or STOP)
+ * sms_subscribed: false alone doesn't count - the sync writes it too (consent
+ * defaults, archive policy), so it says nothing about what the customer wants.
+ * @param {object} contact - Patch contact
+ * @param {string} event - Patch webhook event (e.g. 'contact.unsubscribed')
+ * @returns {boolean} - True if the customer opted out
+ */
+export function isOptedOut(contact, event = '') {
+  return event === 'contact.unsubscribed' ||
+    contact.unsubscribed === true ||
+    contact.status === 'unsubscribed';
+}
+
+/**
+ * Check if a tag is written by the forward sync (HC → Patch)
+ * @param {string} tag - Patch tag
+ * @returns {boolean} - True if the tag belongs to the sync
+ */
+function isSyncTag(tag) {
+  const namespace = String(tag).split(':')[0];
+  return SYNC_TAGS.includes(tag) || (String(tag).includes(':') && SYNC_TAG_NAMESPACES.includes(namespace));
+}
+
+/**
+ * Find the Housecall Pro customer for a Patch contact
+ * @param {object} contact - Patch contact
+ * @returns {Promise<object|null>} - Housecall Pro customer or null
+ */
+export async function findHousecallCustomer(contact) {
+  // 1. HCID: tag written by the forward sync
+  const idTag = (contact.tags || []).find(tag => String(tag).startsWith('HCID:'));
+  const customerId = idTag ? idTag.substring(5) : await getHousecallCustomerId(contact._id);
+
+  if (customerId) {
+    try {
+      return await getCustomerById(customerId);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      console.warn(`⚠️  Housecall Pro customer ${customerId} for contact ${contact._id} no longer exists`);
+    }
+  }
+
+  // 2. Search by phone, then email - only an exact match counts
+  // (Housecall Pro stores numbers as entered, so search by the national number)
+  const parsed = parsePhone(contact.phone);
+  if (parsed) {
+    const customers = await searchCustomers(parsed.nationalNumber || parsed.e164);
+    const match = customers.find(customer =>
+      getCustomerPhones(customer).some(phone => phone.e164 === parsed.e164)
+    );
+    if (match) return match;
+  }
+
+  const email = normalizeEmail(contact.email);
+  if (email) {
+    const customers = await searchCustomers(email);
+    const match = customers.find(customer => normalizeEmail(customer.email) === email);
+    if (match) return match;
+  }
+
+  return null;
+}
+
+/**
+ * Work out which Housecall Pro fields need to change for a Patch contact
+ * @param {object} contact - Patch contact
+ * @param {object} customer - Housecall Pro customer
+ * @param {string} event - Patch webhook event
+ * @returns {object} - Fields to send to updateCustomer() (empty if nothing changed)
+ */
+export function buildHousecallChanges(contact, customer, event = '') {
+  const changes = {};
+
+  // Opt-outs only flow one way - a Patch resubscribe never opts the HC customer back in
+  if (isOptedOut(contact, event) && customer.marketing_opt_in !== false) {
+    changes.marketing_opt_in = false;
+  }
+
+  const email = normalizeEmail(contact.email);
+  if (email && email !== normalizeEmail(customer.email)) {
+    changes.email = String(contact.email).trim();
+  }
+
+  const customerTags = customer.tags || [];
+  const newTags = (contact.tags || [])
+    .filter(tag => !isSyncTag(tag) && !customerTags.includes(tag));
+  if (newTags.length > 0) {
+    changes.tags = [...customerTags, ...new Set(newTags)];
+  }
+
+  return changes;
+}
+
+/**
+ * Sync one Patch contact back to Housecall Pro
+ * @param {object} contact - Patch contact (from the Patch webhook)
+ * @param {object} options - Sync options
+ * @param {string} options.event - Patch webhook event
+ * @param {boolean} options.queueOnError - Whether to add failures to the retry queue (default: true)
+ * @returns {Promise<object>} - { action: 'updated'|'skipped'|'error', reason, customerId, changes }
+ */
+export async function syncContactToHousecall(contact, options = {}) {
+  const { event = '', queueOnError = true } = options;
+
+  try {
+    console.log(`\n🔄 Reverse syncing Patch contact: ${contact.first_name || ''} ${contact.last_name || ''} (${contact._id})`);
+
+    // A real opt-out replaces the sync's SMS default - a later HC opt-in must not undo it
+    if (isOptedOut(contact, event)) {
+      await clearDefaultSmsConsent(contact._id);
+    }
+
+    const customer = await findHousecallCustomer(contact);
+    if (!customer) {
+      console.log('⏭️  Skipping - no matching Housecall Pro customer');
+      return { action: 'skipped', reason: 'no_customer', contact };
+    }
+
+    const changes = buildHousecallChanges(contact, customer, event);
+    if (Object.keys(changes).length === 0) {
+      console.log('⏭️  Skipping - Housecall Pro is already up to date');
+      return { action: 'skipped', reason: 'no_changes', customerId: customer.id, contact };
+    }
+
+    // Record first so the customer.updated webhook this triggers is recognized as our echo
+    await recordWrite('housecall', customer.id, changes);
+    await updateCustomer(customer.id, changes);
+    await saveMapping(customer.id, contact._id)
+      .catch(error => console.warn(`⚠️  Could not save ID mapping for contact ${contact._id}:`, error.message));
+
+    if (changes.marketing_opt_in === false) {
+      await recordAudit('consent_updated', {
+        hcCustomerId: customer.id,
+        patchContactId: contact._id,
+        marketing_opt_in: false,
+        source: `patch:${event || 'unsubscribed'}`
+      });
+    }
+
+    return { action: 'updated', reason: 'patch_changed', customerId: customer.id, changes, contact };
+  } catch (error) {
+    console.error(`❌ Reverse sync failed for contact ${contact._id}:`, error.message);
+
+    let queue = { queued: false, deadLetter: false };
+    if (queueOnError) {
+      try {
+        const entry = await enqueueFailedSync('patch_contact', contact, error, { event });
+        queue = { queued: !entry.deadLetter, deadLetter: Boolean(entry.deadLetter) };
+      } catch (queueError) {
+        console.error(`❌ Could not queue contact ${contact._id} for retry:`, queueError.message);
+      }
+    }
+
+    return {
+      action: 'error',
+      error: error.message,
+      status: error.status,
+      code: error.code,
+      ...queue,
+      contact
+    };
+  }
+}
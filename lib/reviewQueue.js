@@ -0,0 +1,80 @@
+/**
+ * Match review queue - Customers whose Patch match is ambiguous
+ *
+ * When the matcher finds a likely but uncertain match (or two close candidates),
+ * the customer is not created in Patch. Instead it is flagged here until someone
+ * links it to the right contact or dismisses the flag (allowing a new contact).
+ */
+
+import { getStore } from './store.js';
+
+const REVIEW_PREFIX = 'review:pending:';
+const DISMISSED_PREFIX = 'review:dismissed:';
+
+/**
+ * Flag a customer for manual match review
+ * @param {object} customer - Housecall Pro customer
+ * @param {object} match - Result from findBestMatch()
+ * @returns {Promise<object>} - Review entry
+ */
+export async function flagForReview(customer, match) {
+  const existing = await getStore().get(`${REVIEW_PREFIX}${customer.id}`);
+
+  const entry = {
+    hcCustomerId: customer.id,
+    name: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
+    phone: customer.mobile_number || customer.home_number || customer.work_number || null,
+    email: customer.email || null,
+    confidence: match.confidence,
+    reasons: match.reasons,
+    candidates: match.candidates,
+    flaggedAt: existing?.flaggedAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  await getStore().set(`${REVIEW_PREFIX}${customer.id}`, entry);
+  console.log(`🔍 Flagged ${entry.name} for match review (${match.confidence}%: ${match.candidates.map(c => c.name).join(', ')})`);
+
+  return entry;
+}
+
+/**
+ * List customers waiting for match review
+ * @returns {Promise<array>} - Review entries, oldest first
+ */
+export async function listReviews() {
+  const store = getStore();
+  const keys = await store.list(REVIEW_PREFIX);
+  const entries = await Promise.all(keys.map(key => store.get(key)));
+
+  return entries
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.flaggedAt) - new Date(b.flaggedAt));
+}
+
+/**
+ * Remove a customer from the review queue
+ * @param {string} hcCustomerId - Housecall Pro customer ID
+ */
+export async function clearReview(hcCustomerId) {
+  await getStore().delete(`${REVIEW_PREFIX}${hcCustomerId}`);
+}
+
+/**
+ * Dismiss a review: the customer is a different person and gets its own contact
+ * @param {string} hcCustomerId - Housecall Pro customer ID
+ */
+export async function dismissReview(hcCustomerId) {
+  await getStore().set(`${DISMISSED_PREFIX}${hcCustomerId}`, { dismissedAt: new Date().toISOString() });
+  await clearReview(hcCustomerId);
+}
+
+/**
+ * Check if a review was dismissed for a customer
+ * @param {string} hcCustomerId - Housecall Pro customer ID
+ * @returns {Promise<boolean>} - True if ambiguous matches should be ignored
+ */
+export async function isReviewDismissed(hcCustomerId) {
+  if (!hcCustomerId) return false;
+  return Boolean(await getStore().get(`${DISMISSED_PREFIX}${hcCustomerId}`));
+}
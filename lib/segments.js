@@ -0,0 +1,132 @@
+/**
+ * Segments - Bucket configuration for job history segmentation tags
+ *
+ * The configuration lives in config/segments.json (override with SEGMENTS_PATH):
+ * - jobCountBuckets    [{ label, min, max }]  → Jobs:<label>    (max omitted = no upper bound)
+ * - recencyBuckets     [{ label, maxMonths }] → Recency:<label> (first bucket the last service
+ *                                              is newer than; the bucket without maxMonths
+ *                                              catches everything older)
+ * - serviceCategories  { category: [keywords] } → Service:<category> when a job's type or
+ *                                              line items mention a keyword
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_SEGMENTS_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'segments.json');
+
+const DAYS_PER_MONTH = 30.44;
+
+let cachedConfig = null;
+
+/**
+ * Validate a segment configuration
+ * @param {object} config - Parsed configuration
+ * @returns {object} - The same configuration
+ * @throws {Error} - If a bucket is malformed
+ */
+export function validateSegmentConfig(config) {
+  if (!config || typeof config !== 'object') {
+    throw new Error('Segment configuration must be an object');
+  }
+
+  const { jobCountBuckets = [], recencyBuckets = [], serviceCategories = {} } = config;
+
+  jobCountBuckets.forEach(bucket => {
+    if (!bucket.label || !Number.isFinite(bucket.min) || (bucket.max !== undefined && !Number.isFinite(bucket.max))) {
+      throw new Error(`Invalid job count bucket ${JSON.stringify(bucket)} (expected { label, min, max? })`);
+    }
+  });
+
+  recencyBuckets.forEach(bucket => {
+    if (!bucket.label || (bucket.maxMonths !== undefined && !Number.isFinite(bucket.maxMonths))) {
+      throw new Error(`Invalid recency bucket ${JSON.stringify(bucket)} (expected { label, maxMonths? })`);
+    }
+  });
+
+  for (const [category, keywords] of Object.entries(serviceCategories)) {
+    if (!Array.isArray(keywords)) {
+      throw new Error(`Keywords for service category "${category}" must be an array`);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Load the segment configuration (cached after first load)
+ * @param {string} configPath - Optional path to a configuration JSON file
+ * @returns {object} - Validated segment configuration
+ */
+export function loadSegmentConfig(configPath = null) {
+  if (cachedConfig && !configPath) return cachedConfig;
+
+  const resolvedPath = configPath || process.env.SEGMENTS_PATH || DEFAULT_SEGMENTS_PATH;
+
+  try {
+    const config = validateSegmentConfig(JSON.parse(fs.readFileSync(resolvedPath, 'utf8')));
+    if (!configPath) cachedConfig = config;
+    return config;
+  } catch (error) {
+    throw new Error(`Failed to load segment configuration from ${resolvedPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the job count bucket for a number of completed jobs
+ * @param {number} count - Completed jobs
+ * @param {array} buckets - Job count buckets
+ * @returns {string|null} - Bucket label, or null if none applies (e.g. no jobs)
+ */
+export function getJobCountBucket(count, buckets = []) {
+  const bucket = buckets.find(b => count >= b.min && (b.max === undefined || count <= b.max));
+  return bucket ? bucket.label : null;
+}
+
+/**
+ * Get the recency bucket for a last service date
+ * @param {string} lastServiceDate - ISO date of the last completed job
+ * @param {array} buckets - Recency buckets
+ * @param {Date} now - Reference time (default: now)
+ * @returns {string|null} - Bucket label, or null if there is no service date
+ */
+export function getRecencyBucket(lastServiceDate, buckets = [], now = new Date()) {
+  if (!lastServiceDate) return null;
+
+  const months = (now - new Date(lastServiceDate)) / (DAYS_PER_MONTH * 24 * 60 * 60 * 1000);
+  const bucket = buckets.find(b => b.maxMonths !== undefined && months < b.maxMonths) ||
+    buckets.find(b => b.maxMonths === undefined);
+
+  return bucket ? bucket.label : null;
+}
+
+// Category for services that match no configured keywords (job types can be
+// free-text descriptions, which must not become one-off tags)
+export const OTHER_SERVICE_CATEGORY = 'Other';
+
+/**
+ * Map the services a customer bought to configured categories
+ * Services that match no category are grouped under OTHER_SERVICE_CATEGORY.
+ * @param {array} services - [{ jobType, items: [line item names] }] from summarizeJobHistory()
+ * @param {object} categories - Category → keywords
+ * @returns {array} - Distinct category names
+ */
+export function getServiceCategories(services = [], categories = {}) {
+  const result = new Set();
+
+  services.forEach(service => {
+    const text = [service.jobType, ...service.items].filter(Boolean).join(' ').toLowerCase();
+    const matched = Object.entries(categories)
+      .filter(([, keywords]) => keywords.some(keyword => text.includes(keyword.toLowerCase())))
+      .map(([category]) => category);
+
+    if (matched.length > 0) {
+      matched.forEach(category => result.add(category));
+    } else if (text) {
+      result.add(OTHER_SERVICE_CATEGORY);
+    }
+  });
+
+  return [...result];
+}
@@ -0,0 +1,159 @@
+/**
+ * Key-value store - Persist sync state between runs
+ *
+ * Adapters:
+ * - file: JSON file on disk (default for local scripts)
+ * - kv:   Vercel KV / Upstash Redis REST API (for serverless functions)
+ *
+ * The adapter is picked from SYNC_STORE ('file' | 'kv'). When unset, the KV
+ * adapter is used if KV_REST_API_URL and KV_REST_API_TOKEN are configured.
+ * Point local scripts at the same KV database to share state with the webhook.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+
+const DEFAULT_FILE_PATH = '.data/sync-store.json';
+
+let storeInstance = null;
+
+/**
+ * Create a store backed by a local JSON file
+ * @param {string} filePath - Path to the JSON file
+ * @returns {object} - Store adapter
+ */
+export function createFileStore(filePath) {
+  let data = null;
+
+  const load = () => {
+    if (data) return data;
+
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading store file ${filePath}:`, error.message);
+      }
+      data = {};
+    }
+    return data;
+  };
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    // Write to a temp file first so a crash never leaves a half-written store
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  return {
+    type: 'file',
+
+    async get(key) {
+      const value = load()[key];
+      return value === undefined ? null : value;
+    },
+
+    async set(key, value) {
+      load()[key] = value;
+      save();
+    },
+
+    async delete(key) {
+      delete load()[key];
+      save();
+    },
+
+    async list(prefix = '') {
+      return Object.keys(load()).filter(key => key.startsWith(prefix));
+    }
+  };
+}
+
+/**
+ * Create a store backed by the Vercel KV / Upstash Redis REST API
+ * @param {string} url - REST API URL (KV_REST_API_URL)
+ * @param {string} token - REST API token (KV_REST_API_TOKEN)
+ * @returns {object} - Store adapter
+ */
+export function createKvStore(url, token) {
+  const command = async (...args) => {
+    const response = await axios.post(url, args, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000
+    });
+    return response.data.result;
+  };
+
+  return {
+    type: 'kv',
+
+    async get(key) {
+      const value = await command('GET', key);
+      return value === null || value === undefined ? null : JSON.parse(value);
+    },
+
+    async set(key, value) {
+      await command('SET', key, JSON.stringify(value));
+    },
+
+    async delete(key) {
+      await command('DEL', key);
+    },
+
+    async list(prefix = '') {
+      const keys = [];
+      let cursor = '0';
+
+      do {
+        const [nextCursor, batch] = await command('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 1000);
+        keys.push(...batch);
+        cursor = String(nextCursor);
+      } while (cursor !== '0');
+
+      return keys;
+    }
+  };
+}
+
+/**
+ * Get the shared store instance for this process
+ * @returns {object} - Store adapter with get/set/delete/list
+ */
+export function getStore() {
+  if (storeInstance) return storeInstance;
+
+  const env = typeof process !== 'undefined' ? process.env : {};
+  const hasKv = Boolean(env.KV_REST_API_URL && env.KV_REST_API_TOKEN);
+  const storeType = env.SYNC_STORE || (hasKv ? 'kv' : 'file');
+
+  if (storeType === 'kv') {
+    if (!hasKv) {
+      throw new Error('SYNC_STORE=kv requires KV_REST_API_URL and KV_REST_API_TOKEN');
+    }
+    storeInstance = createKvStore(env.KV_REST_API_URL, env.KV_REST_API_TOKEN);
+  } else {
+    // Serverless functions can only write to /tmp (not durable across instances)
+    const defaultPath = env.VERCEL ? path.join('/tmp', 'sync-store.json') : DEFAULT_FILE_PATH;
+    if (env.VERCEL) {
+      console.warn('⚠️  No KV store configured - sync state will not survive cold starts');
+    }
+    storeInstance = createFileStore(path.resolve(env.SYNC_STORE_PATH || defaultPath));
+  }
+
+  return storeInstance;
+}
+
+/**
+ * Replace the shared store instance (useful for testing or scripts)
+ * @param {object|null} store - Store adapter, or null to reset
+ */
+export function setStore(store) {
+  storeInstance = store;
+}
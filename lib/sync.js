@@ -2,41 +2,207 @@
  * Main sync function - Orchestrates the sync process
  */
 
-import { findContactByPhone } from './dedup.js';
-import { decideMergeStrategy } from './merge.js';
-import { transformCustomer, transformCustomerSync } from './transform.js';
-import { createContact, updateContact } from './patchApi.js';
+import { findContactByCustomerId, findBestMatch, addToContactIndex, removeFromContactIndex } from './dedup.js';
+import { decideMergeStrategy, diffContact, mergeTags } from './merge.js';
+import {
+  transformCustomer,
+  transformCustomerSync,
+  getLastServiceAddress,
+  buildJobTags,
+  buildSegmentTags,
+  buildLifecycleTags,
+  JOB_TAG_NAMESPACES,
+  OWNED_TAG_NAMESPACES,
+  SEGMENT_TAG_NAMESPACES
+} from './transform.js';
+import { createContact, updateContact, deleteContact } from './patchApi.js';
+import { getCustomerJobs } from './housecallApi.js';
+import { summarizeJobHistory } from './jobs.js';
+import { enqueueFailedSync, clearPending, listDue, markSucceeded, markFailed } from './retryQueue.js';
+import { saveMapping, removeMapping } from './idMap.js';
+import { flagForReview, isReviewDismissed } from './reviewQueue.js';
+import { syncContactToHousecall } from './reverseSync.js';
+import { recordWrite } from './echoGuard.js';
+import { recordAudit } from './audit.js';
+import { resolveRecordType } from './leads.js';
+import { buildCustomFields } from './customFields.js';
+import { preserveOptOuts, applyNewContactConsent, isDefaultSmsConsent, recordConsentChange } from './consent.js';
+
+// What happens to the Patch contact of a deleted/archived customer (ARCHIVE_POLICY)
+const ARCHIVE_POLICIES = ['tag', 'unsubscribe', 'delete'];
+const ARCHIVED_TAG = 'HCP:archived';
+
+// Result action for each merge decision
+const DECISION_RESULTS = {
+  create: 'created',
+  update: 'updated',
+  skip: 'skipped'
+};
+
+/**
+ * Record the HC customer → Patch contact mapping without failing the sync
+ * @param {object} customer - Housecall Pro customer
+ * @param {object} contact - Patch contact
+ */
+async function rememberMapping(customer, contact) {
+  try {
+    await saveMapping(customer.id, contact?._id);
+  } catch (error) {
+    console.warn(`⚠️  Could not save ID mapping for customer ${customer.id}:`, error.message);
+  }
+}
+
+/**
+ * Persist a failed sync to the retry queue without failing further
+ * @param {string} type - Entry type ('customer' | 'job' | 'archive')
+ * @param {object} payload - Housecall Pro customer or job
+ * @param {Error} error - Error from the failed attempt
+ * @param {object} options - Sync options to reuse on retry
+ * @returns {Promise<object>} - Queue fields for the sync result { queued, deadLetter }
+ */
+async function queueForRetry(type, payload, error, options) {
+  try {
+    const entry = await enqueueFailedSync(type, payload, error, options);
+    return { queued: !entry.deadLetter, deadLetter: Boolean(entry.deadLetter) };
+  } catch (queueError) {
+    console.error(`❌ Could not queue ${type} ${payload.id} for retry:`, queueError.message);
+    return { queued: false, deadLetter: false };
+  }
+}
+
+/**
+ * Drop a queued retry of a record that just synced, without failing the sync
+ * The queued payload is older than what was just written and must not be replayed.
+ * @param {string} type - Entry type ('customer' | 'job' | 'archive')
+ * @param {object} payload - Housecall Pro customer or job
+ */
+async function supersedeRetry(type, payload) {
+  try {
+    await clearPending(type, payload);
+  } catch (error) {
+    console.warn(`⚠️  Could not clear queued retry for ${type} ${payload.id}:`, error.message);
+  }
+}
+
+/**
+ * Get the configured policy for deleted/archived customers
+ * @returns {string} - 'tag' (default) | 'unsubscribe' | 'delete'
+ */
+function getArchivePolicy() {
+  const policy = (process.env.ARCHIVE_POLICY || 'tag').trim().toLowerCase();
+  if (!ARCHIVE_POLICIES.includes(policy)) {
+    throw new Error(`Invalid ARCHIVE_POLICY "${policy}" (expected one of: ${ARCHIVE_POLICIES.join(', ')})`);
+  }
+  return policy;
+}
+
+/**
+ * Check if a Housecall Pro customer has been archived
+ * @param {object} customer - Housecall Pro customer
+ * @returns {boolean} - True if archived
+ */
+function isArchivedCustomer(customer) {
+  return customer.archived === true || Boolean(customer.archived_at);
+}
+
+/**
+ * Rebuild an Error from a failed sync result (for retry bookkeeping)
+ * @param {object} result - Sync result with action 'error'
+ * @returns {Error} - Error with status/code properties
+ */
+function resultError(result) {
+  const error = new Error(result.error);
+  error.status = result.status;
+  error.code = result.code;
+  return error;
+}
+
+/**
+ * Write lifecycle tags to an existing contact regardless of the merge policy gates
+ * A lead conversion or estimate status is an event, not a field edit - it must land
+ * even when the Patch contact is newer or was edited by hand (like job tags do).
+ * @param {object} decision - Decision from decideMergeStrategy()
+ * @param {array} lifecycleTags - Tags from buildLifecycleTags()
+ * @param {array} namespaces - Namespaces of the lifecycle tags (replaced)
+ * @returns {object} - Decision, turned into an update if the lifecycle tags change the contact
+ */
+function applyLifecycleTags(decision, lifecycleTags, namespaces) {
+  if (decision.action === 'create' || lifecycleTags.length === 0) return decision;
+
+  const tags = mergeTags(decision.payload.tags || decision.contact.tags || [], lifecycleTags, namespaces);
+  const tagChanges = diffContact({ tags }, decision.contact);
+  const changes = [...decision.changes.filter(change => change.field !== 'tags'), ...tagChanges];
+
+  if (changes.length === 0) return decision;
+
+  const payload = { ...decision.payload };
+  delete payload.tags;
+  if (tagChanges.length > 0) {
+    payload.tags = tags;
+  }
+
+  return {
+    ...decision,
+    action: 'update',
+    reason: decision.action === 'update' ? decision.reason : 'lifecycle',
+    payload,
+    changes
+  };
+}
 
 /**
  * Sync a single customer from Housecall Pro to Patch Retention
  *
  * Process:
  * 1. Transform Housecall Pro customer to Patch format
- * 2. Check if contact already exists (by phone)
+ * 2. Check if contact already exists (by stored HC ID mapping, then multi-signal
+ *    matching on phones, email, name and address - ambiguous matches are flagged for review)
  * 3. Decide: create new, update existing, or skip
- * 4. Execute the action
+ * 4. Execute the action (updates only send changed fields; no API call if nothing changed)
  *
  * @param {object} customer - Housecall Pro customer object
  * @param {object} options - Sync options
- * @param {Map} options.phoneLookup - Optional pre-built phone lookup map (for bulk syncs)
+ * @param {object} options.contactIndex - Optional pre-built contact index from buildContactIndex() (for bulk syncs)
  * @param {boolean} options.isInitialSync - Whether this is part of initial bulk sync
  * @param {boolean} options.includeLastServiceDate - Whether to fetch last service date (default: false for speed)
- * @returns {Promise<object>} - Sync result { action: 'created'|'updated'|'skipped', contact: patchContact }
+ * @param {string} options.recordType - 'lead' | 'customer' | null to keep the contact's current Type (default: null)
+ * @param {string} options.leadSource - Lead source for LeadSource: tag (leads only)
+ * @param {string} options.estimateStatus - Estimate status for Estimate: tag (estimate events only)
+ * @param {object} options.lastServiceAddress - Address of the most recent completed job (default: looked up for multi-property customers)
+ * @param {object} options.job - Completed job that triggered the sync (for `job.*` paths in config/fieldMapping.json)
+ * @param {boolean} options.queueOnError - Whether to add failures to the retry queue (default: true)
+ * @param {boolean} options.dryRun - Decide and diff only, without writing anything (default: false)
+ * @returns {Promise<object>} - Sync result { action: 'created'|'updated'|'skipped'|'error', contact: patchContact, reason }
+ *   In dry-run mode the action is what would happen, plus `dryRun: true` and `changes` (field-level diff)
  */
 export async function syncCustomer(customer, options = {}) {
   const {
-    phoneLookup = null,
+    contactIndex = null,
     isInitialSync = false,
-    includeLastServiceDate = false
+    includeLastServiceDate = false,
+    recordType = null,
+    leadSource = null,
+    estimateStatus = null,
+    lastServiceAddress = null,
+    job = null,
+    queueOnError = true,
+    dryRun = false
   } = options;
 
+  // Archived customers are handled by the archive policy, never re-synced as active
+  if (isArchivedCustomer(customer)) {
+    return syncCustomerRemoved(customer, { ...options, reason: 'archived' });
+  }
+
   try {
     // Step 1: Transform customer data
     let patchData;
     if (includeLastServiceDate) {
-      patchData = await transformCustomer(customer, { isInitialSync, includeLastServiceDate });
+      patchData = await transformCustomer(customer, { isInitialSync, includeLastServiceDate, lastServiceAddress, job });
     } else {
-      patchData = transformCustomerSync(customer, isInitialSync);
+      // Multi-property customers get the property serviced most recently
+      const serviceAddress = lastServiceAddress || await getLastServiceAddress(customer);
+      patchData = transformCustomerSync(customer, isInitialSync, { lastServiceAddress: serviceAddress, job });
     }
 
     // Validate required fields
@@ -45,51 +211,370 @@ export async function syncCustomer(customer, options = {}) {
       return { action: 'skipped', reason: 'no_phone', customer };
     }
 
-    // Step 2: Find existing contact by phone
-    const existingContact = await findContactByPhone(patchData.phone, phoneLookup);
+    // Step 2: Find existing contact by HC ID mapping, falling back to multi-signal matching
+    let existingContact = await findContactByCustomerId(customer.id, contactIndex);
+    let match = null;
+
+    if (!existingContact) {
+      match = await findBestMatch(customer, patchData, contactIndex);
+
+      // Uncertain match: don't risk a duplicate - flag for review unless already dismissed
+      if (match.status === 'review' && !(await isReviewDismissed(customer.id))) {
+        if (!dryRun) {
+          await flagForReview(customer, match);
+        }
+        return { action: 'skipped', reason: 'needs_review', match, customer };
+      }
+
+      existingContact = match.contact;
+    }
+
+    // Never re-subscribe a contact that unsubscribed in Patch (the sync's own SMS default
+    // may be replaced by a Housecall Pro opt-in). New contacts without SMS consent are created unsubscribed
+    if (existingContact) {
+      const smsDefault = patchData.sms_subscribed === true && await isDefaultSmsConsent(existingContact);
+      patchData = preserveOptOuts(patchData, existingContact, { smsDefault });
+    } else {
+      patchData = applyNewContactConsent(patchData);
+    }
+
+    // Lead lifecycle tags - a contact that is already Type:customer is never downgraded to a lead
+    const lifecycleTags = buildLifecycleTags({
+      recordType: resolveRecordType(recordType, existingContact?.tags || []),
+      leadSource,
+      estimateStatus
+    });
+    patchData.tags = [...new Set([...(patchData.tags || []), ...lifecycleTags])];
+    const lifecycleNamespaces = lifecycleTags.map(tag => tag.split(':')[0]);
+
+    // LastService: is only written when job history was fetched - otherwise keep the contact's
+    const serviceNamespaces = patchData.tags.some(tag => tag.startsWith('LastService:')) ? ['LastService'] : [];
+
+    // Step 3: Decide merge strategy (per-field merge policy - updates only send changed fields)
+    let decision = decideMergeStrategy(customer, existingContact, patchData, {
+      ownedNamespaces: [
+        ...OWNED_TAG_NAMESPACES,
+        ...lifecycleNamespaces,
+        ...serviceNamespaces,
+        // Segment tags are only known when job history was fetched - otherwise keep the contact's
+        ...(includeLastServiceDate ? SEGMENT_TAG_NAMESPACES : [])
+      ]
+    });
 
-    // Step 3: Decide merge strategy
-    const decision = decideMergeStrategy(customer, existingContact);
+    // Lifecycle tags bypass the record-level gates (conversions must always land)
+    decision = applyLifecycleTags(decision, lifecycleTags, lifecycleNamespaces);
+
+    // Dry run: report the decision and what would change, without writing
+    if (dryRun) {
+      return {
+        action: DECISION_RESULTS[decision.action],
+        dryRun: true,
+        reason: decision.reason,
+        contact: decision.contact,
+        changes: decision.changes,
+        match,
+        customer
+      };
+    }
 
     // Step 4: Execute action
     switch (decision.action) {
-      case 'create':
+      case 'create': {
         const createdContact = await createContact(patchData);
-        return { action: 'created', contact: createdContact, customer };
+        addToContactIndex(createdContact, contactIndex);
+        await rememberMapping(customer, createdContact);
+        await recordConsentChange(customer, createdContact._id, patchData);
+        await supersedeRetry('customer', customer);
+        return { action: 'created', reason: decision.reason, contact: createdContact, match, customer };
+      }
 
-      case 'update':
-        const updatedContact = await updateContact(decision.contact._id, patchData);
-        return { action: 'updated', contact: updatedContact, customer };
+      case 'update': {
+        await recordWrite('patch', decision.contact._id, decision.payload);
+        const updatedContact = await updateContact(decision.contact._id, decision.payload);
+        await rememberMapping(customer, decision.contact);
+        await recordConsentChange(customer, decision.contact._id, decision.payload);
+        await supersedeRetry('customer', customer);
+        return { action: 'updated', reason: decision.reason, contact: updatedContact, changes: decision.changes, match, customer };
+      }
 
-      case 'skip':
+      case 'skip': {
         console.log(`⏭️  Skipped: ${customer.first_name} ${customer.last_name} (${patchData.phone})`);
-        return { action: 'skipped', contact: decision.contact, customer };
+        await rememberMapping(customer, decision.contact);
+        await supersedeRetry('customer', customer);
+        return { action: 'skipped', reason: decision.reason, contact: decision.contact, match, customer };
+      }
 
       default:
         throw new Error(`Unknown action: ${decision.action}`);
     }
   } catch (error) {
     console.error(`❌ Error syncing customer ${customer.first_name} ${customer.last_name}:`, error.message);
+
+    const queue = queueOnError && !dryRun
+      ? await queueForRetry('customer', customer, error, {
+        isInitialSync,
+        includeLastServiceDate,
+        recordType,
+        leadSource,
+        estimateStatus,
+        lastServiceAddress,
+        job
+      })
+      : {};
+
     return {
       action: 'error',
       error: error.message,
+      status: error.status,
+      code: error.code,
+      ...queue,
       customer
     };
   }
 }
 
+/**
+ * Apply the archive policy to the Patch contact of a deleted or archived customer
+ *
+ * Policies (ARCHIVE_POLICY):
+ * - tag          Add the `HCP:archived` tag (default) - removed again if the customer is restored
+ * - unsubscribe  Tag and unsubscribe the contact from SMS and email
+ * - delete       Delete the contact and its ID mapping
+ *
+ * Every action taken is recorded in the audit log.
+ *
+ * @param {object} customer - Housecall Pro customer (a deleted customer may only carry its id)
+ * @param {object} options - Sync options
+ * @param {string} options.reason - 'deleted' | 'archived'
+ * @param {object} options.contactIndex - Optional pre-built contact index
+ * @param {boolean} options.queueOnError - Whether to add failures to the retry queue (default: true)
+ * @param {boolean} options.dryRun - Decide without writing (default: false)
+ * @returns {Promise<object>} - Sync result { action: 'archived'|'skipped'|'error', policy, contact, reason }
+ */
+export async function syncCustomerRemoved(customer, options = {}) {
+  const { reason = 'deleted', contactIndex = null, queueOnError = true, dryRun = false } = options;
+  const label = `${customer.first_name || ''} ${customer.last_name || ''}`.trim() || customer.id;
+
+  try {
+    const policy = getArchivePolicy();
+
+    // Only act on a confident match - never archive the wrong person
+    let contact = await findContactByCustomerId(customer.id, contactIndex);
+    if (!contact && customer.first_name) {
+      const match = await findBestMatch(customer, transformCustomerSync(customer), contactIndex);
+      contact = match.status === 'match' ? match.contact : null;
+    }
+
+    if (!contact) {
+      console.log(`⏭️  No Patch contact for ${reason} customer ${label}`);
+      return { action: 'skipped', reason: 'not_found', customer };
+    }
+
+    const tags = [...new Set([...(contact.tags || []), ARCHIVED_TAG])];
+    const payload = policy === 'unsubscribe'
+      ? { tags, sms_subscribed: false, email_subscribed: false }
+      : { tags };
+
+    if (policy !== 'delete' && diffContact(payload, contact).length === 0) {
+      console.log(`⏭️  Already archived: ${label}`);
+      return { action: 'skipped', reason: 'already_archived', policy, contact, customer };
+    }
+
+    if (dryRun) {
+      return { action: 'archived', dryRun: true, reason, policy, contact, changes: diffContact(payload, contact), customer };
+    }
+
+    const auditDetails = { hcCustomerId: customer.id, patchContactId: contact._id, name: label, reason, policy };
+
+    if (policy === 'delete') {
+      await deleteContact(contact._id);
+      removeFromContactIndex(contact, contactIndex);
+      await removeMapping(customer.id);
+      await recordAudit('deleted', auditDetails);
+      console.log(`🗑️  Deleted Patch contact for ${reason} customer ${label}`);
+      return { action: 'archived', reason, policy, contact: null, customer };
+    }
+
+    await recordWrite('patch', contact._id, payload);
+    const updatedContact = await updateContact(contact._id, payload);
+    await recordAudit(policy === 'unsubscribe' ? 'unsubscribed' : 'archive_tagged', auditDetails);
+    console.log(`📦 Archived Patch contact for ${reason} customer ${label} (${policy})`);
+
+    return { action: 'archived', reason, policy, contact: updatedContact, customer };
+  } catch (error) {
+    console.error(`❌ Error archiving ${reason} customer ${label}:`, error.message);
+
+    const queue = queueOnError && !dryRun
+      ? await queueForRetry('archive', customer, error, { reason })
+      : {};
+
+    return {
+      action: 'error',
+      error: error.message,
+      status: error.status,
+      code: error.code,
+      ...queue,
+      customer
+    };
+  }
+}
+
+/**
+ * Sync a completed job from Housecall Pro to Patch Retention
+ *
+ * Process:
+ * 1. Sync the job's customer (create/update/skip as usual)
+ * 2. Summarize the customer's completed job history
+ * 3. Replace the contact's job history tags (last service date, job count,
+ *    last job total, lifetime value, service type)
+ *
+ * @param {object} job - Housecall Pro job object (with embedded customer)
+ * @param {object} options - Sync options (see syncCustomer)
+ * @returns {Promise<object>} - Sync result { action: 'updated'|'skipped'|'error', contact, customer, summary }
+ */
+export async function syncJobCompleted(job, options = {}) {
+  const customer = job.customer;
+  const { queueOnError = true } = options;
+
+  try {
+    // Step 1: Make sure the customer exists in Patch (failures are queued as a job retry below)
+    // A completed job means the contact is a customer (converts leads), last serviced at the job's address
+    const customerResult = await syncCustomer(customer, {
+      ...options,
+      recordType: 'customer',
+      lastServiceAddress: job.address || null,
+      job,
+      queueOnError: false
+    });
+    if (customerResult.action === 'error') {
+      throw resultError(customerResult);
+    }
+    if (!customerResult.contact) {
+      return customerResult;
+    }
+    const contact = customerResult.contact;
+
+    // Step 2: Summarize job history (the webhook job may not be listed as completed yet)
+    // A failed fetch throws, so the job is retried instead of tagging a one-job history
+    const jobs = await getCustomerJobs(customer.id);
+    const otherJobs = jobs.filter(existingJob => existingJob.id !== job.id);
+    const summary = summarizeJobHistory([...otherJobs, job]);
+
+    // Step 3: Replace stale job history and segment tags (and job custom fields)
+    const currentTags = contact.tags || [];
+    const tags = mergeTags(
+      currentTags,
+      [...buildJobTags(summary), ...buildSegmentTags(summary)],
+      [...JOB_TAG_NAMESPACES, ...SEGMENT_TAG_NAMESPACES]
+    );
+
+    const update = { tags };
+    const customFields = buildCustomFields({ lastServiceDate: summary.lastServiceDate, lifetimeValue: summary.lifetimeValue });
+    if (customFields) {
+      update.custom_fields = customFields;
+    }
+
+    const changes = diffContact(update, contact);
+    if (changes.length === 0) {
+      console.log(`⏭️  Job history unchanged: ${customer.first_name} ${customer.last_name}`);
+      if (!options.dryRun) {
+        await supersedeRetry('job', job);
+      }
+      return { action: 'skipped', reason: 'no_changes', contact, customer, summary };
+    }
+
+    if (options.dryRun) {
+      return { action: 'updated', dryRun: true, reason: 'job_completed', contact, changes, customer, summary };
+    }
+
+    await recordWrite('patch', contact._id, update);
+    const updatedContact = await updateContact(contact._id, update);
+    console.log(`🧾 Updated job history: ${customer.first_name} ${customer.last_name} (${summary.completedJobs} jobs)`);
+    await supersedeRetry('job', job);
+
+    return { action: 'updated', contact: updatedContact, customer, summary };
+  } catch (error) {
+    console.error(`❌ Error syncing job ${job.id} for ${customer.first_name} ${customer.last_name}:`, error.message);
+
+    const queue = queueOnError && !options.dryRun
+      ? await queueForRetry('job', job, error, { isInitialSync: Boolean(options.isInitialSync) })
+      : {};
+
+    return {
+      action: 'error',
+      error: error.message,
+      status: error.status,
+      code: error.code,
+      ...queue,
+      customer
+    };
+  }
+}
+
+/**
+ * Retry failed syncs from the retry queue
+ * Entries that fail again are rescheduled with backoff, or dead-lettered after
+ * RETRY_MAX_ATTEMPTS attempts.
+ * @param {object} options - Retry options
+ * @param {number} options.deadline - Stop starting new retries after this time (ms timestamp)
+ * @param {number} options.limit - Maximum number of entries to retry (default: all due)
+ * @returns {Promise<object>} - { processed, succeeded, failed, deadLettered, remaining }
+ */
+export async function retryFailedSyncs(options = {}) {
+  const { deadline = Infinity, limit = Infinity } = options;
+
+  const due = await listDue();
+  const stats = { processed: 0, succeeded: 0, failed: 0, deadLettered: 0, remaining: 0 };
+
+  console.log(`\n🔁 Retrying ${due.length} queued syncs...\n`);
+
+  for (const entry of due) {
+    if (stats.processed >= limit || Date.now() >= deadline) {
+      break;
+    }
+
+    const retryOptions = { ...entry.options, queueOnError: false };
+    let result;
+    if (entry.type === 'job') {
+      result = await syncJobCompleted(entry.payload, retryOptions);
+    } else if (entry.type === 'archive') {
+      result = await syncCustomerRemoved(entry.payload, retryOptions);
+    } else if (entry.type === 'patch_contact') {
+      result = await syncContactToHousecall(entry.payload, retryOptions);
+    } else {
+      result = await syncCustomer(entry.payload, retryOptions);
+    }
+
+    stats.processed++;
+
+    if (result.action === 'error') {
+      const updated = await markFailed(entry, resultError(result));
+      stats.failed++;
+      if (updated.deadLetter) stats.deadLettered++;
+    } else {
+      await markSucceeded(entry);
+      stats.succeeded++;
+    }
+  }
+
+  stats.remaining = due.length - stats.processed;
+  return stats;
+}
+
 /**
  * Sync multiple customers in batch
  * @param {array} customers - Array of Housecall Pro customers
  * @param {object} options - Sync options
- * @returns {Promise<object>} - Batch sync results { created: number, updated: number, skipped: number, errors: number, details: [] }
+ * @returns {Promise<object>} - Batch sync results { created: number, updated: number, skipped: number, archived: number, errors: number, details: [] }
  */
 export async function syncBatch(customers, options = {}) {
   const results = {
     created: 0,
     updated: 0,
     skipped: 0,
+    archived: 0,
     errors: 0,
+    queued: 0,
     details: []
   };
 
@@ -110,20 +595,22 @@ export async function syncBatch(customers, options = {}) {
       case 'skipped':
         results.skipped++;
         break;
+      case 'archived':
+        results.archived++;
+        break;
       case 'error':
         results.errors++;
+        if (result.queued) results.queued++;
         break;
     }
-
-    // Rate limiting: small delay between requests (100ms)
-    await new Promise(resolve => setTimeout(resolve, 100));
   }
 
   console.log(`\n✅ Batch sync complete:`);
   console.log(`   Created: ${results.created}`);
   console.log(`   Updated: ${results.updated}`);
   console.log(`   Skipped: ${results.skipped}`);
-  console.log(`   Errors: ${results.errors}`);
+  console.log(`   Archived: ${results.archived}`);
+  console.log(`   Errors: ${results.errors} (${results.queued} queued for retry)`);
   console.log(`   Total: ${customers.length}\n`);
 
   return results;
@@ -1,106 +1,376 @@
 /**
  * Data transformation - Convert Housecall Pro format to Patch Retention format
+ *
+ * Contact fields and the customer tags (Source:, HCID:, Sync:, State:, ZIP:, Area:)
+ * come from config/fieldMapping.json - see lib/fieldMapping.js. Job history,
+ * segment, property and lifecycle tags are built here.
  */
 
-import { getLastServiceDate } from './housecallApi.js';
+import { getCustomerJobs } from './housecallApi.js';
+import { summarizeJobHistory } from './jobs.js';
+import { loadSegmentConfig, getJobCountBucket, getRecencyBucket, getServiceCategories } from './segments.js';
+import { buildCustomFields } from './customFields.js';
+import { buildConsentFields } from './consent.js';
+import { getCustomerPhones, pickPrimaryPhone } from './phone.js';
+import { loadAddressConfig, standardizeAddress, getServiceArea } from './address.js';
+import { loadFieldMapping, buildMappedFields, buildMappedTags, getMappedTagNamespaces } from './fieldMapping.js';
+
+// Per-property tags written at most (property managers can have hundreds)
+const DEFAULT_MAX_PROPERTY_TAGS = 20;
 
 /**
- * Extract city from address object
- * @param {array} addresses - Housecall Pro addresses array
- * @returns {string|null} - City name
+ * Get a customer's properties
+ * @param {object} customer - Housecall Pro customer
+ * @returns {array} - Service addresses (all addresses if none is marked as service)
  */
-function extractCity(addresses) {
-  if (!addresses || addresses.length === 0) return null;
+export function getCustomerProperties(customer) {
+  const addresses = customer.addresses || [];
+  const serviceAddresses = addresses.filter(addr => addr.type === 'service');
+  return serviceAddresses.length > 0 ? serviceAddresses : addresses;
+}
 
-  // Get first service address
-  const serviceAddress = addresses.find(addr => addr.type === 'service') || addresses[0];
+/**
+ * Check if a customer address is the address a job was done at
+ * @param {object} address - Housecall Pro customer address
+ * @param {object} jobAddress - Address of a Housecall Pro job
+ * @returns {boolean} - True if they are the same property
+ */
+function isSameAddress(address, jobAddress) {
+  if (address.id && jobAddress.id) return address.id === jobAddress.id;
 
-  return serviceAddress.city || null;
+  const a = standardizeAddress(address);
+  const b = standardizeAddress(jobAddress);
+  return Boolean(a.street) && a.street === b.street && a.zip === b.zip;
 }
 
 /**
- * Extract full street address
- * @param {array} addresses - Housecall Pro addresses array
- * @returns {string|null} - Full street address
+ * Choose the address written to the Patch contact
+ * The property serviced most recently wins; otherwise the first service address,
+ * then the first address.
+ * @param {object} customer - Housecall Pro customer
+ * @param {object|null} lastServiceAddress - Address of the most recent completed job
+ * @returns {object} - Standardized address { street, city, state, zip, zip4 } (all null without an address)
  */
-function extractStreet(addresses) {
-  if (!addresses || addresses.length === 0) return null;
+export function selectServiceAddress(customer, lastServiceAddress = null) {
+  const addresses = customer.addresses || [];
+  const serviced = lastServiceAddress && addresses.find(addr => isSameAddress(addr, lastServiceAddress));
 
-  const serviceAddress = addresses.find(addr => addr.type === 'service') || addresses[0];
+  return standardizeAddress(serviced || getCustomerProperties(customer)[0] || null);
+}
 
-  let street = serviceAddress.street || '';
-  if (serviceAddress.street_line_2) {
-    street += ` ${serviceAddress.street_line_2}`;
-  }
+/**
+ * Find the most recently serviced property of a multi-property customer
+ * Only customers with more than one property need their job history for this.
+ * @param {object} customer - Housecall Pro customer
+ * @returns {Promise<object|null>} - Job address, or null for single-property customers
+ */
+export async function getLastServiceAddress(customer) {
+  if (!customer.id || getCustomerProperties(customer).length < 2) return null;
 
-  return street.trim() || null;
+  return summarizeJobHistory(await getCustomerJobs(customer.id)).lastServiceAddress;
 }
 
 /**
- * Extract state from address
- * @param {array} addresses - Housecall Pro addresses array
- * @returns {string|null} - State code
+ * Build property tags for a Patch contact
+ * - Properties:N           Number of distinct properties
+ * - Property:<street zip>  One per property, when enabled in config/address.json
+ * @param {object} customer - Housecall Pro customer
+ * @param {object} config - Address configuration (default: loadAddressConfig())
+ * @returns {array} - Array of tags
  */
-function extractState(addresses) {
-  if (!addresses || addresses.length === 0) return null;
+function buildPropertyTags(customer, config = loadAddressConfig()) {
+  const properties = [...new Set(
+    getCustomerProperties(customer)
+      .map(addr => standardizeAddress(addr, config))
+      .filter(addr => addr.street)
+      .map(addr => `${addr.street} ${addr.zip || ''}`.trim())
+  )];
+
+  if (properties.length === 0) return [];
 
-  const serviceAddress = addresses.find(addr => addr.type === 'service') || addresses[0];
+  const tags = [`Properties:${properties.length}`];
 
-  return serviceAddress.state || null;
+  const { enabled = false, max = DEFAULT_MAX_PROPERTY_TAGS } = config.propertyTags || {};
+  if (enabled) {
+    tags.push(...properties.slice(0, max).map(property => `Property:${property}`));
+  }
+
+  return tags;
 }
 
 /**
- * Extract zip code from address
- * @param {array} addresses - Housecall Pro addresses array
- * @returns {string|null} - ZIP code
+ * Get the Patch phone numbers for a customer
+ * The SMS-capable (mobile) number becomes the primary phone; the next number is
+ * kept as the secondary phone. All numbers are E.164.
+ * @param {object} customer - Housecall Pro customer
+ * @returns {object} - { primary, secondary } (null when missing)
  */
-function extractZip(addresses) {
-  if (!addresses || addresses.length === 0) return null;
+function getPhoneNumbers(customer) {
+  const phones = getCustomerPhones(customer);
+  const primary = pickPrimaryPhone(phones);
+  const secondary = phones.find(phone => phone !== primary);
+
+  return {
+    primary: primary ? primary.e164 : null,
+    secondary: secondary ? secondary.e164 : null
+  };
+}
 
-  const serviceAddress = addresses.find(addr => addr.type === 'service') || addresses[0];
+// Custom field source for each Housecall Pro phone field
+const PHONE_FIELD_SOURCES = {
+  mobile_number: 'mobilePhone',
+  home_number: 'homePhone',
+  work_number: 'workPhone'
+};
 
-  return serviceAddress.zip || null;
+/**
+ * Get the custom field source values for a customer
+ * @param {object} customer - Housecall Pro customer
+ * @param {object} address - Address from selectServiceAddress()
+ * @param {object|null} summary - Job history summary (omitted = job fields left unchanged)
+ * @returns {object} - Source values for buildCustomFields()
+ */
+function getCustomFieldValues(customer, address, summary = null) {
+  const values = {
+    customerId: customer.id,
+    zip: address.zip,
+    state: address.state,
+    company: customer.company
+  };
+
+  getCustomerPhones(customer).forEach(phone => {
+    values[PHONE_FIELD_SOURCES[phone.field]] = phone.extension ? `${phone.e164} x${phone.extension}` : phone.e164;
+  });
+
+  if (summary) {
+    values.lastServiceDate = summary.lastServiceDate;
+    values.lifetimeValue = summary.lifetimeValue;
+  }
+
+  return values;
+}
+
+/**
+ * Build the values field mapping source paths read from (see MAPPING_SOURCES)
+ * @param {object} customer - Housecall Pro customer
+ * @param {object} address - Address from selectServiceAddress()
+ * @param {object} options - Context options
+ * @param {string} options.lastServiceDate - Last service date (ISO string)
+ * @param {boolean} options.isInitialSync - Whether this is part of initial bulk sync
+ * @param {object} options.job - Completed job that triggered the sync (job webhooks only)
+ * @returns {object} - { customer, job, address, phones, sync, lastServiceDate }
+ */
+function buildMappingContext(customer, address, options = {}) {
+  const { lastServiceDate = null, isInitialSync = false, job = null } = options;
+
+  return {
+    customer,
+    job,
+    address: { ...address, area: getServiceArea(address.zip) },
+    phones: getPhoneNumbers(customer),
+    sync: isInitialSync ? 'initial' : 'realtime',
+    lastServiceDate
+  };
 }
 
 /**
  * Build tags array for Patch contact
  * @param {object} customer - Housecall Pro customer
- * @param {string} lastServiceDate - Last service date (ISO string)
- * @param {boolean} isInitialSync - Whether this is part of initial bulk sync
+ * @param {object} context - Context from buildMappingContext()
+ * @param {object} mapping - Field mapping (default: loadFieldMapping())
  * @returns {array} - Array of tags
  */
-function buildTags(customer, lastServiceDate, isInitialSync = false) {
-  const tags = [];
+function buildTags(customer, context, mapping = loadFieldMapping()) {
+  // Tag templates (Source:, HCID:, Sync:, State:, ZIP:, Area: ...)
+  const tags = buildMappedTags(context, mapping);
 
-  // Add source tag
-  tags.push('Source:housecallpro');
+  // Add service status tag
+  if (context.lastServiceDate) {
+    tags.push('Has-Service-History');
+  }
 
-  // Add sync type tag
-  if (isInitialSync) {
-    tags.push('Sync:initial');
-  } else {
-    tags.push('Sync:realtime');
+  // Preserve any existing Housecall Pro tags
+  if (mapping.copyHousecallTags && Array.isArray(customer.tags)) {
+    tags.push(...customer.tags);
   }
 
-  // Add state tag if available
-  if (customer.addresses && customer.addresses.length > 0) {
-    const state = extractState(customer.addresses);
-    if (state) {
-      tags.push(`State:${state}`);
+  tags.push(...buildPropertyTags(customer));
+
+  return [...new Set(tags)]; // Remove duplicates
+}
+
+/**
+ * Build the mapped fields and tags of a Patch contact
+ * @param {object} customer - Housecall Pro customer
+ * @param {object} address - Address from selectServiceAddress()
+ * @param {object} options - Context options (see buildMappingContext())
+ * @returns {object} - Patch contact (empty fields still present)
+ */
+function buildContact(customer, address, options = {}) {
+  const mapping = loadFieldMapping();
+  const context = buildMappingContext(customer, address, options);
+
+  return {
+    ...buildMappedFields(context, mapping),
+    tags: buildTags(customer, context, mapping)
+  };
+}
+
+/**
+ * Remove empty/null fields from a Patch contact
+ * @param {object} patchContact - Patch contact
+ * @returns {object} - The same contact
+ */
+function removeEmptyFields(patchContact) {
+  Object.keys(patchContact).forEach(key => {
+    if (patchContact[key] === null || patchContact[key] === undefined || patchContact[key] === '') {
+      delete patchContact[key];
     }
-  }
+  });
 
-  // Add service status tag
-  if (lastServiceDate) {
+  return patchContact;
+}
+
+// Tag namespaces written from job history (replaced, never accumulated)
+export const JOB_TAG_NAMESPACES = ['LastService', 'JobCount', 'LastJobTotal', 'LifetimeValue', 'LastServiceType'];
+
+// Tag namespaces written by the customer transform - replaced on update, other tags are kept
+// (HCP:archived is owned so it is dropped again when an archived customer is restored).
+// LastService: is not listed - it is only known when job history was fetched, so
+// lib/sync.js replaces it only when the payload carries one.
+// Namespaces of the mapping's tag templates are added - loading the mapping here
+// validates config/fieldMapping.json at startup.
+export const OWNED_TAG_NAMESPACES = [...new Set([
+  'Source', 'HCID', 'Sync', 'State', 'ZIP', 'Area', 'Properties', 'Property', 'HCP',
+  ...getMappedTagNamespaces(loadFieldMapping())
+])];
+
+// Tag namespaces for the lead lifecycle (replaced only when emitted, see buildLifecycleTags)
+export const LIFECYCLE_TAG_NAMESPACES = ['Type', 'LeadSource', 'Estimate'];
+
+// Segmentation tag namespaces derived from job history (see config/segments.json)
+export const SEGMENT_TAG_NAMESPACES = ['Service', 'Jobs', 'Recency', 'Plan'];
+
+// Time-derived tag namespaces - go stale without a webhook (refreshed by lib/recency.js)
+export const RECENCY_TAG_NAMESPACES = ['LastService', 'Recency'];
+
+/**
+ * Format a dollar amount for use in a tag
+ * @param {number} amount - Amount in dollars
+ * @returns {string} - Formatted amount (e.g. "$149.00")
+ */
+function formatAmount(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+/**
+ * Build job history tags for a Patch contact
+ * @param {object} summary - Job history summary from summarizeJobHistory()
+ * @returns {array} - Array of tags
+ */
+export function buildJobTags(summary) {
+  const tags = [];
+
+  if (summary.lastServiceDate) {
+    const serviceDate = new Date(summary.lastServiceDate).toISOString().split('T')[0]; // YYYY-MM-DD
+    tags.push(`LastService:${serviceDate}`);
     tags.push('Has-Service-History');
   }
 
-  // Preserve any existing Housecall Pro tags
-  if (customer.tags && Array.isArray(customer.tags)) {
-    tags.push(...customer.tags);
+  tags.push(`JobCount:${summary.completedJobs}`);
+
+  if (summary.lastJobTotal !== null && summary.lastJobTotal !== undefined) {
+    tags.push(`LastJobTotal:${formatAmount(summary.lastJobTotal)}`);
   }
 
-  return [...new Set(tags)]; // Remove duplicates
+  tags.push(`LifetimeValue:${formatAmount(summary.lifetimeValue)}`);
+
+  if (summary.lastServiceType) {
+    tags.push(`LastServiceType:${summary.lastServiceType}`);
+  }
+
+  return tags;
+}
+
+/**
+ * Build segmentation tags for a Patch contact
+ * - Service:<category>  Each service category the customer has bought
+ * - Jobs:<bucket>       Completed job count bucket (e.g. Jobs:2-4)
+ * - Recency:<bucket>    Time since the last completed job (e.g. Recency:3-6m)
+ * - Plan:recurring      Customer has recurring jobs
+ * @param {object} summary - Job history summary from summarizeJobHistory()
+ * @param {object} config - Segment configuration (default: loadSegmentConfig())
+ * @param {Date} now - Reference time for recency (default: now)
+ * @returns {array} - Array of tags
+ */
+export function buildSegmentTags(summary, config = loadSegmentConfig(), now = new Date()) {
+  const tags = getServiceCategories(summary.services, config.serviceCategories)
+    .map(category => `Service:${category}`);
+
+  const jobsBucket = getJobCountBucket(summary.completedJobs, config.jobCountBuckets);
+  if (jobsBucket) {
+    tags.push(`Jobs:${jobsBucket}`);
+  }
+
+  const recencyBucket = getRecencyBucket(summary.lastServiceDate, config.recencyBuckets, now);
+  if (recencyBucket) {
+    tags.push(`Recency:${recencyBucket}`);
+  }
+
+  if (summary.recurring) {
+    tags.push('Plan:recurring');
+  }
+
+  return tags;
+}
+
+/**
+ * Build time-derived tags for a Patch contact
+ * @param {string} lastServiceDate - ISO date of the last completed job
+ * @param {object} config - Segment configuration (default: loadSegmentConfig())
+ * @param {Date} now - Reference time for recency (default: now)
+ * @returns {array} - Array of tags (empty without a service date)
+ */
+export function buildRecencyTags(lastServiceDate, config = loadSegmentConfig(), now = new Date()) {
+  if (!lastServiceDate) return [];
+
+  const tags = [`LastService:${new Date(lastServiceDate).toISOString().split('T')[0]}`];
+
+  const recencyBucket = getRecencyBucket(lastServiceDate, config.recencyBuckets, now);
+  if (recencyBucket) {
+    tags.push(`Recency:${recencyBucket}`);
+  }
+
+  return tags;
+}
+
+/**
+ * Build lead lifecycle tags for a Patch contact
+ * Only namespaces that are emitted are replaced on the contact, so a customer sync
+ * keeps the contact's LeadSource: and Estimate: tags.
+ * @param {object} lifecycle - Lifecycle details
+ * @param {string} lifecycle.recordType - 'lead' | 'customer' (from resolveRecordType())
+ * @param {string} lifecycle.leadSource - Lead source (leads only)
+ * @param {string} lifecycle.estimateStatus - Estimate status (estimate events only)
+ * @returns {array} - Array of tags
+ */
+export function buildLifecycleTags(lifecycle = {}) {
+  const { recordType, leadSource = null, estimateStatus = null } = lifecycle;
+  const tags = [];
+
+  if (recordType) {
+    tags.push(`Type:${recordType}`);
+  }
+
+  if (leadSource) {
+    tags.push(`LeadSource:${leadSource}`);
+  }
+
+  if (estimateStatus) {
+    tags.push(`Estimate:${estimateStatus}`);
+  }
+
+  return tags;
 }
 
 /**
@@ -108,65 +378,54 @@ function buildTags(customer, lastServiceDate, isInitialSync = false) {
  * @param {object} customer - Housecall Pro customer object
  * @param {object} options - Transformation options
  * @param {boolean} options.isInitialSync - Whether this is part of initial bulk sync
- * @param {boolean} options.includeLast ServiceDate - Whether to fetch and include last service date
+ * @param {boolean} options.includeLastServiceDate - Whether to fetch job history for the last service date and segment tags
+ * @param {object} options.lastServiceAddress - Address of the most recent completed job (default: from job history)
+ * @param {object} options.job - Completed job that triggered the sync (available to the field mapping as `job`)
  * @returns {Promise<object>} - Patch Retention contact object
+ * @throws {Error} - If job history was requested but couldn't be fetched (keeps the
+ *   fetch's `status`/`code`, so the sync is retried rather than tagged from no history)
  */
 export async function transformCustomer(customer, options = {}) {
-  const { isInitialSync = false, includeLastServiceDate = true } = options;
+  const { isInitialSync = false, includeLastServiceDate = true, lastServiceAddress = null, job = null } = options;
 
   try {
-    // Fetch last service date if requested
+    // Fetch job history if requested (last service date and segment tags)
     let lastServiceDate = null;
+    let segmentTags = [];
+    let summary = null;
     if (includeLastServiceDate && customer.id) {
-      lastServiceDate = await getLastServiceDate(customer.id);
-    }
-
-    // Build Patch contact object
-    const patchContact = {
-      first_name: customer.first_name || '',
-      last_name: customer.last_name || '',
-      phone: customer.mobile_number || customer.home_number || '',
-      email: customer.email || '',
-      city: extractCity(customer.addresses),
-      tags: buildTags(customer, lastServiceDate, isInitialSync)
-    };
-
-    // Add optional fields only if they have values
-    const street = extractStreet(customer.addresses);
-    if (street) {
-      patchContact.address = street; // Patch uses 'address' field for street
+      summary = summarizeJobHistory(await getCustomerJobs(customer.id));
+      lastServiceDate = summary.lastServiceDate;
+      segmentTags = buildSegmentTags(summary);
     }
 
-    const state = extractState(customer.addresses);
-    const zip = extractZip(customer.addresses);
+    // Most recently serviced property (multi-property customers)
+    const address = selectServiceAddress(customer, lastServiceAddress || summary?.lastServiceAddress);
 
-    // Store state and zip in tags if not supported as fields
-    if (state) {
-      // Already added to tags above
-    }
-
-    if (zip) {
-      patchContact.tags.push(`ZIP:${zip}`);
-    }
+    // Mapped fields and tags (config/fieldMapping.json)
+    const patchContact = buildContact(customer, address, { lastServiceDate, isInitialSync, job });
 
-    // Add last service date as custom field (if Patch API supports it)
-    // For now, we'll add it as a tag
+    // Last service date tag (also written to a custom field when enabled - see below)
     if (lastServiceDate) {
       const serviceDate = new Date(lastServiceDate).toISOString().split('T')[0]; // YYYY-MM-DD
       patchContact.tags.push(`LastService:${serviceDate}`);
     }
 
-    // Remove any empty/null fields
-    Object.keys(patchContact).forEach(key => {
-      if (patchContact[key] === null || patchContact[key] === undefined || patchContact[key] === '') {
-        delete patchContact[key];
-      }
-    });
+    patchContact.tags.push(...segmentTags);
+
+    // Custom fields (config/customFields.json) - null while disabled, removed below
+    patchContact.custom_fields = buildCustomFields(getCustomFieldValues(customer, address, summary));
+
+    // SMS/email subscription from Housecall Pro consent flags (unknown = left unchanged)
+    Object.assign(patchContact, buildConsentFields(customer));
 
-    return patchContact;
+    return removeEmptyFields(patchContact);
   } catch (error) {
     console.error('Error transforming customer data:', error.message);
-    throw new Error(`Failed to transform customer: ${error.message}`);
+    const transformError = new Error(`Failed to transform customer: ${error.message}`);
+    transformError.status = error.status;
+    transformError.code = error.code;
+    throw transformError;
   }
 }
 
@@ -175,38 +434,20 @@ export async function transformCustomer(customer, options = {}) {
  * Faster for bulk operations
  * @param {object} customer - Housecall Pro customer object
  * @param {boolean} isInitialSync - Whether this is part of initial bulk sync
+ * @param {object} options - Transformation options
+ * @param {object} options.lastServiceAddress - Address of the most recent completed job (see getLastServiceAddress())
+ * @param {object} options.job - Completed job that triggered the sync (available to the field mapping as `job`)
  * @returns {object} - Patch Retention contact object
  */
-export function transformCustomerSync(customer, isInitialSync = false) {
-  // Build Patch contact object (without async operations)
-  const patchContact = {
-    first_name: customer.first_name || '',
-    last_name: customer.last_name || '',
-    phone: customer.mobile_number || customer.home_number || '',
-    email: customer.email || '',
-    city: extractCity(customer.addresses),
-    tags: buildTags(customer, null, isInitialSync)
-  };
+export function transformCustomerSync(customer, isInitialSync = false, options = {}) {
+  const { lastServiceAddress = null, job = null } = options;
+  const address = selectServiceAddress(customer, lastServiceAddress);
 
-  // Add optional fields
-  const street = extractStreet(customer.addresses);
-  if (street) {
-    patchContact.address = street;
-  }
+  // Mapped fields and tags (without async operations)
+  const patchContact = buildContact(customer, address, { isInitialSync, job });
 
-  const state = extractState(customer.addresses);
-  const zip = extractZip(customer.addresses);
+  patchContact.custom_fields = buildCustomFields(getCustomFieldValues(customer, address));
+  Object.assign(patchContact, buildConsentFields(customer));
 
-  if (zip) {
-    patchContact.tags.push(`ZIP:${zip}`);
-  }
-
-  // Remove empty fields
-  Object.keys(patchContact).forEach(key => {
-    if (patchContact[key] === null || patchContact[key] === undefined || patchContact[key] === '') {
-      delete patchContact[key];
-    }
-  });
-
-  return patchContact;
+  return removeEmptyFields(patchContact);
 }
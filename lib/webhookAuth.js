@@ -0,0 +1,146 @@
+/**
+ * Webhook authentication - Verify Housecall Pro webhook signatures
+ *
+ * Housecall Pro signs every webhook delivery with the signing secret shown in
+ * Settings → Integrations → API & Webhooks:
+ *   Api-Timestamp: unix timestamp of the delivery
+ *   Api-Signature: hex HMAC-SHA256 of `${timestamp}.${rawBody}`
+ *
+ * Patch Retention webhooks are not signed; they carry a shared secret
+ * (PATCH_WEBHOOK_SECRET) in the X-Webhook-Secret header or `secret` query parameter.
+ */
+
+import crypto from 'crypto';
+
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60; // 5 minutes
+
+// Get webhook signing secret from environment variables
+const getWebhookSecret = () => {
+  if (typeof process !== 'undefined' && process.env.HOUSECALL_WEBHOOK_SECRET) {
+    return process.env.HOUSECALL_WEBHOOK_SECRET;
+  }
+  return null;
+};
+
+const getToleranceSeconds = () => {
+  const configured = parseInt(process.env.HOUSECALL_WEBHOOK_TOLERANCE_SECONDS, 10);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_TOLERANCE_SECONDS;
+};
+
+/**
+ * Read the raw request body as a Buffer
+ * The signature is computed over the exact bytes sent, so the body must not be
+ * parsed and re-serialized before verification.
+ * @param {object} req - Incoming HTTP request
+ * @returns {Promise<Buffer>} - Raw request body
+ */
+export async function readRawBody(req) {
+  if (Buffer.isBuffer(req.rawBody)) return req.rawBody;
+  if (typeof req.rawBody === 'string') return Buffer.from(req.rawBody);
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Check whether a request carries Housecall Pro signature headers
+ * @param {object} headers - Request headers (lowercased keys)
+ * @returns {boolean} - True if signature headers are present
+ */
+export function hasSignatureHeaders(headers = {}) {
+  return Boolean(headers['api-signature'] && headers['api-timestamp']);
+}
+
+/**
+ * Compute the expected signature for a payload
+ * @param {string} secret - Webhook signing secret
+ * @param {string} timestamp - Value of the Api-Timestamp header
+ * @param {Buffer|string} rawBody - Raw request body
+ * @returns {string} - Hex-encoded HMAC-SHA256 signature
+ */
+export function computeSignature(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest('hex');
+}
+
+/**
+ * Verify a Housecall Pro webhook signature
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {object} headers - Request headers (lowercased keys)
+ * @param {object} options - Verification options
+ * @param {string} options.secret - Signing secret (default: HOUSECALL_WEBHOOK_SECRET)
+ * @param {number} options.toleranceSeconds - Allowed clock skew / replay window
+ * @param {number} options.now - Current time in ms (for testing)
+ * @returns {object} - { valid: boolean, reason: string|null }
+ */
+export function verifySignature(rawBody, headers = {}, options = {}) {
+  const {
+    secret = getWebhookSecret(),
+    toleranceSeconds = getToleranceSeconds(),
+    now = Date.now()
+  } = options;
+
+  if (!secret) {
+    return { valid: false, reason: 'secret_not_configured' };
+  }
+
+  const signature = headers['api-signature'];
+  const timestamp = headers['api-timestamp'];
+
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  // Reject stale or future-dated deliveries to block replays
+  let timestampMs = Number(timestamp);
+  if (!Number.isFinite(timestampMs)) {
+    timestampMs = Date.parse(timestamp);
+  } else if (timestampMs < 1e12) {
+    timestampMs *= 1000; // Seconds → milliseconds
+  }
+
+  if (!Number.isFinite(timestampMs) || Math.abs(now - timestampMs) > toleranceSeconds * 1000) {
+    return { valid: false, reason: 'timestamp_out_of_range' };
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, rawBody), 'hex');
+  const received = Buffer.from(String(signature).trim().toLowerCase(), 'hex');
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'signature_mismatch' };
+  }
+
+  return { valid: true, reason: null };
+}
+
+/**
+ * Verify the shared secret on a Patch Retention webhook
+ * @param {object} req - Incoming HTTP request
+ * @param {string} secret - Expected secret (default: PATCH_WEBHOOK_SECRET)
+ * @returns {object} - { valid: boolean, reason: string|null }
+ */
+export function verifySharedSecret(req, secret = process.env.PATCH_WEBHOOK_SECRET) {
+  if (!secret) {
+    return { valid: false, reason: 'secret_not_configured' };
+  }
+
+  const provided = req.headers?.['x-webhook-secret'] || req.query?.secret;
+  if (!provided) {
+    return { valid: false, reason: 'missing_secret' };
+  }
+
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  const received = crypto.createHash('sha256').update(String(provided)).digest();
+
+  if (!crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'secret_mismatch' };
+  }
+
+  return { valid: true, reason: null };
+}
@@ -0,0 +1,252 @@
+/**
+ * Duplicate Audit Script - Find likely duplicate contacts already in Patch Retention
+ *
+ * Pulls every Patch contact, clusters likely duplicates (shared phone number, shared
+ * email, or same name at the same street address + ZIP), and recommends a survivor
+ * for each cluster. Nothing is changed in Patch - the report is for manual cleanup.
+ *
+ * Usage:
+ *   npm run audit-duplicates
+ *
+ * Writes reports/duplicate-audit-<runId>.csv (one row per contact) and .json (clusters).
+ */
+
+import dotenv from 'dotenv';
+import { getAllContacts } from '../lib/patchApi.js';
+import {
+  normalizeEmail,
+  normalizeName,
+  normalizeStreet,
+  getContactZip,
+  getContactPhones
+} from '../lib/dedup.js';
+import { calculateCompleteness } from '../lib/merge.js';
+import { writeReport } from '../lib/report.js';
+import { createRunId } from '../lib/checkpoint.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Contact fields copied to the survivor when it has no value of its own
+const MERGE_FIELDS = ['first_name', 'last_name', 'email', 'phone', 'city', 'address', 'state', 'zip'];
+
+const REPORT_COLUMNS = [
+  'clusterId',
+  'matchedOn',
+  'role',
+  'contactId',
+  'name',
+  'phone',
+  'email',
+  'address',
+  'completeness',
+  'createdAt',
+  'fieldsToMerge'
+];
+
+/**
+ * Get the keys two duplicate contacts would share
+ * @param {object} contact - Patch contact
+ * @returns {array} - Keys like 'phone:8015551234', 'email:jane@example.com', 'address:...'
+ */
+function getDuplicateKeys(contact) {
+  const keys = getContactPhones(contact).map(phone => `phone:${phone}`);
+
+  const email = normalizeEmail(contact.email);
+  if (email) {
+    keys.push(`email:${email}`);
+  }
+
+  const name = normalizeName(contact.first_name, contact.last_name);
+  const street = normalizeStreet(contact.address || contact.street);
+  const zip = getContactZip(contact);
+  if (name && street && zip) {
+    keys.push(`address:${name}|${street}|${zip}`);
+  }
+
+  return keys;
+}
+
+/**
+ * Group contacts that share any duplicate key (union-find, so A~B and B~C cluster together)
+ * @param {array} contacts - Patch contacts
+ * @returns {array} - Clusters of 2+ contacts: { contacts, matchedOn: ['phone', 'email', ...] }
+ */
+function clusterContacts(contacts) {
+  const parent = contacts.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  const firstByKey = new Map();
+  const sharedKeys = new Map();
+
+  contacts.forEach((contact, i) => {
+    getDuplicateKeys(contact).forEach(key => {
+      if (!firstByKey.has(key)) {
+        firstByKey.set(key, i);
+        return;
+      }
+
+      const root = find(firstByKey.get(key));
+      parent[find(i)] = root;
+      sharedKeys.set(key, root);
+    });
+  });
+
+  const clusters = new Map();
+  contacts.forEach((contact, i) => {
+    const root = find(i);
+    const cluster = clusters.get(root) || { contacts: [], matchedOn: new Set() };
+    cluster.contacts.push(contact);
+    clusters.set(root, cluster);
+  });
+
+  for (const [key, root] of sharedKeys) {
+    clusters.get(find(root)).matchedOn.add(key.split(':')[0]);
+  }
+
+  return [...clusters.values()]
+    .filter(cluster => cluster.contacts.length > 1)
+    .map(cluster => ({ contacts: cluster.contacts, matchedOn: [...cluster.matchedOn] }));
+}
+
+/**
+ * Pick the survivor of a cluster: most complete contact, oldest on a tie
+ * @param {array} contacts - Contacts in one cluster
+ * @returns {object} - Survivor contact
+ */
+function pickSurvivor(contacts) {
+  return [...contacts].sort((a, b) => {
+    const scoreDiff = calculateCompleteness(b) - calculateCompleteness(a);
+    if (scoreDiff !== 0) return scoreDiff;
+    return new Date(a.created_at || 0) - new Date(b.created_at || 0);
+  })[0];
+}
+
+/**
+ * Work out what the survivor would take from its duplicates
+ * @param {object} survivor - Survivor contact
+ * @param {array} duplicates - Other contacts in the cluster
+ * @returns {array} - [{ field, value, fromContactId }] (tags as one entry listing missing tags)
+ */
+function getFieldsToMerge(survivor, duplicates) {
+  const merges = [];
+
+  MERGE_FIELDS.forEach(field => {
+    if (survivor[field] && String(survivor[field]).trim()) return;
+
+    const donor = duplicates.find(contact => contact[field] && String(contact[field]).trim());
+    if (donor) {
+      merges.push({ field, value: donor[field], fromContactId: donor._id });
+    }
+  });
+
+  // Phones the survivor doesn't have would otherwise be lost
+  const knownPhones = new Set(getContactPhones(survivor));
+  duplicates.forEach(contact => {
+    getContactPhones(contact)
+      .filter(phone => !knownPhones.has(phone))
+      .forEach(phone => {
+        knownPhones.add(phone);
+        merges.push({ field: 'secondary_phone', value: phone, fromContactId: contact._id });
+      });
+  });
+
+  const survivorTags = new Set(survivor.tags || []);
+  const missingTags = [...new Set(duplicates.flatMap(contact => contact.tags || []))]
+    .filter(tag => !survivorTags.has(tag));
+  if (missingTags.length > 0) {
+    merges.push({ field: 'tags', value: missingTags });
+  }
+
+  return merges;
+}
+
+/**
+ * Format merge suggestions for one CSV cell
+ * @param {array} merges - Result of getFieldsToMerge()
+ * @returns {string} - e.g. "email ← 'jane@example.com' (abc123); tags ← [VIP]"
+ */
+function formatMerges(merges) {
+  return merges
+    .map(merge => {
+      const value = Array.isArray(merge.value) ? `[${merge.value.join(', ')}]` : `'${merge.value}'`;
+      return `${merge.field} ← ${value}${merge.fromContactId ? ` (${merge.fromContactId})` : ''}`;
+    })
+    .join('; ');
+}
+
+/**
+ * Main duplicate audit function
+ */
+async function runAudit() {
+  console.log('╔═══════════════════════════════════════════════════════╗');
+  console.log('║  Patch Retention Duplicate Audit                     ║');
+  console.log('╚═══════════════════════════════════════════════════════╝\n');
+
+  try {
+    console.log('📥 Fetching all contacts from Patch Retention...\n');
+    const contacts = await getAllContacts();
+    console.log(`✅ Fetched ${contacts.length} contacts\n`);
+
+    const clusters = clusterContacts(contacts).map((cluster, i) => {
+      const survivor = pickSurvivor(cluster.contacts);
+      const duplicates = cluster.contacts.filter(contact => contact !== survivor);
+
+      return {
+        clusterId: i + 1,
+        matchedOn: cluster.matchedOn,
+        survivor,
+        duplicates,
+        fieldsToMerge: getFieldsToMerge(survivor, duplicates)
+      };
+    });
+
+    const rows = clusters.flatMap(cluster =>
+      [cluster.survivor, ...cluster.duplicates].map(contact => ({
+        clusterId: cluster.clusterId,
+        matchedOn: cluster.matchedOn,
+        role: contact === cluster.survivor ? 'survivor' : 'duplicate',
+        contactId: contact._id,
+        name: `${contact.first_name || ''} ${contact.last_name || ''}`.trim(),
+        phone: contact.phone || '',
+        email: contact.email || '',
+        address: [contact.address || contact.street, contact.city, contact.state, contact.zip].filter(Boolean).join(', '),
+        completeness: calculateCompleteness(contact),
+        createdAt: contact.created_at || '',
+        fieldsToMerge: contact === cluster.survivor ? formatMerges(cluster.fieldsToMerge) : ''
+      }))
+    );
+
+    const duplicateCount = clusters.reduce((sum, cluster) => sum + cluster.duplicates.length, 0);
+
+    const { csvPath, jsonPath } = writeReport(`duplicate-audit-${createRunId()}`, rows, {
+      columns: REPORT_COLUMNS,
+      json: {
+        generatedAt: new Date().toISOString(),
+        totalContacts: contacts.length,
+        clusterCount: clusters.length,
+        duplicateCount,
+        clusters: clusters.map(cluster => ({
+          clusterId: cluster.clusterId,
+          matchedOn: cluster.matchedOn,
+          survivorId: cluster.survivor._id,
+          duplicateIds: cluster.duplicates.map(contact => contact._id),
+          fieldsToMerge: cluster.fieldsToMerge,
+          contacts: [cluster.survivor, ...cluster.duplicates]
+        }))
+      }
+    });
+
+    console.log('📊 Audit Results:');
+    console.log(`   👥 Clusters:    ${clusters.length} groups of likely duplicates`);
+    console.log(`   🗑️  Duplicates:  ${duplicateCount} contacts to merge into a survivor`);
+    console.log(`   📈 Total:       ${contacts.length} contacts checked\n`);
+    console.log(`📄 Report:\n   ${csvPath}\n   ${jsonPath}\n`);
+  } catch (error) {
+    console.error('\n❌ Duplicate audit failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the audit
+runAudit();
@@ -7,12 +7,31 @@
  *   1. Create .env file with your API keys (copy from .env.example)
  *   2. Run: npm install
  *   3. Run: npm run bulk-sync
+ *
+ * Options:
+ *   --resume <runId>   Continue an interrupted run from its last completed batch
+ *   --from-page <n>    Start at Housecall Pro page n (100 customers per page)
+ *   --limit <n>        Process at most n customers
+ *   --dry-run          Run dedup and merge decisions without writing to Patch, and
+ *                      write a plan report to reports/bulk-sync-plan-<runId>.csv/.json
+ *
+ * Progress is checkpointed after every batch to .data/checkpoints/<runId>.json.
  */
 
 import dotenv from 'dotenv';
+import { parseArgs } from 'util';
 import { getAllCustomers } from '../lib/housecallApi.js';
-import { buildPhoneLookup } from '../lib/dedup.js';
+import { buildContactIndex } from '../lib/dedup.js';
 import { syncBatch } from '../lib/sync.js';
+import { getHttpMetrics } from '../lib/httpClient.js';
+import { writeReport } from '../lib/report.js';
+import {
+  createRunId,
+  saveCheckpoint,
+  loadCheckpoint,
+  saveRunCustomers,
+  loadRunCustomers
+} from '../lib/checkpoint.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -20,6 +39,141 @@ dotenv.config();
 // Configuration
 const BATCH_SIZE = 50; // Process 50 customers at a time
 
+// Plan report columns (dry-run)
+const PLAN_COLUMNS = [
+  'customerId',
+  'customerName',
+  'phone',
+  'action',
+  'reason',
+  'contactId',
+  'contactName',
+  'matchConfidence',
+  'matchReasons',
+  'changes'
+];
+
+/**
+ * Parse command line options
+ * @returns {object} - { resume, fromPage, limit, dryRun }
+ */
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      resume: { type: 'string' },
+      'from-page': { type: 'string' },
+      limit: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  const fromPage = values['from-page'] ? parseInt(values['from-page'], 10) : 1;
+  const limit = values.limit ? parseInt(values.limit, 10) : null;
+
+  if (!Number.isInteger(fromPage) || fromPage < 1) {
+    throw new Error('--from-page must be a positive integer');
+  }
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+    throw new Error('--limit must be a positive integer');
+  }
+
+  return { resume: values.resume || null, fromPage, limit, dryRun: values['dry-run'] };
+}
+
+/**
+ * Format a field-level diff for one CSV cell
+ * @param {array} changes - Changes from diffContact()
+ * @returns {string} - e.g. "email: '' → 'jane@example.com'"
+ */
+function formatChanges(changes = []) {
+  const format = value => (Array.isArray(value) ? `[${value.join(', ')}]` : `'${value ?? ''}'`);
+  return changes
+    .map(change => `${change.field}: ${format(change.current)} → ${format(change.proposed)}`)
+    .join('; ');
+}
+
+/**
+ * Write the dry-run plan report from the checkpoint's per-customer outcomes
+ * @param {object} checkpoint - Run checkpoint
+ * @returns {object} - { csvPath, jsonPath }
+ */
+function writePlanReport(checkpoint) {
+  const outcomes = Object.values(checkpoint.outcomes);
+  const rows = outcomes.map(outcome => ({
+    ...outcome,
+    changes: formatChanges(outcome.changes)
+  }));
+
+  return writeReport(`bulk-sync-plan-${checkpoint.runId}`, rows, {
+    columns: PLAN_COLUMNS,
+    json: {
+      runId: checkpoint.runId,
+      generatedAt: new Date().toISOString(),
+      results: checkpoint.results,
+      customers: outcomes
+    }
+  });
+}
+
+/**
+ * Start a new run: fetch customers and write the initial checkpoint
+ * @param {object} options - { fromPage, limit, dryRun }
+ * @returns {Promise<object>} - { checkpoint, customers }
+ */
+async function startRun({ fromPage, limit, dryRun }) {
+  const runId = createRunId();
+
+  console.log('📥 Step 1: Fetching customers from Housecall Pro...\n');
+  const customers = await getAllCustomers({ startPage: fromPage, limit: limit || Infinity });
+
+  console.log(`✅ Fetched ${customers.length} customers from Housecall Pro\n`);
+
+  const checkpoint = {
+    runId,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    options: { fromPage, limit, dryRun },
+    batchSize: BATCH_SIZE,
+    totalCustomers: customers.length,
+    totalBatches: Math.ceil(customers.length / BATCH_SIZE),
+    lastCompletedBatch: 0,
+    results: {
+      created: 0,
+      updated: 0,
+      skipped: 0,
+      archived: 0,
+      errors: 0,
+      queued: 0
+    },
+    outcomes: {}
+  };
+
+  saveRunCustomers(runId, customers);
+  saveCheckpoint(checkpoint);
+
+  return { checkpoint, customers };
+}
+
+/**
+ * Resume an interrupted run from its checkpoint
+ * @param {string} runId - Run ID
+ * @returns {object} - { checkpoint, customers }
+ */
+function resumeRun(runId) {
+  const checkpoint = loadCheckpoint(runId);
+
+  if (checkpoint.status === 'completed') {
+    throw new Error(`Run ${runId} already completed`);
+  }
+
+  console.log(`📥 Step 1: Loading customers saved for run ${runId}...\n`);
+  const customers = loadRunCustomers(runId);
+
+  console.log(`✅ Resuming after batch ${checkpoint.lastCompletedBatch}/${checkpoint.totalBatches}\n`);
+
+  return { checkpoint: { ...checkpoint, status: 'running' }, customers };
+}
+
 /**
  * Main bulk sync function
  */
@@ -29,52 +183,79 @@ async function runBulkSync() {
   console.log('║  One-time migration of all existing customers         ║');
   console.log('╚═══════════════════════════════════════════════════════╝\n');
 
+  let checkpoint = null;
+
   try {
-    // Step 1: Fetch all customers from Housecall Pro
-    console.log('📥 Step 1: Fetching all customers from Housecall Pro...\n');
-    const allCustomers = await getAllCustomers();
+    const options = parseOptions();
+
+    // Step 1: Fetch customers from Housecall Pro (or load them from the checkpoint)
+    const run = options.resume ? resumeRun(options.resume) : await startRun(options);
+    checkpoint = run.checkpoint;
+    const allCustomers = run.customers;
 
-    console.log(`✅ Fetched ${allCustomers.length} customers from Housecall Pro\n`);
+    const dryRun = Boolean(checkpoint.options.dryRun);
+
+    console.log(`🏷️  Run ID: ${checkpoint.runId}\n`);
+    if (dryRun) {
+      console.log('🧪 DRY RUN - no changes will be written to Patch Retention\n');
+    }
 
-    // Step 2: Build phone lookup from Patch Retention (for deduplication)
+    // Step 2: Build contact index from Patch Retention (for deduplication)
     console.log('📥 Step 2: Building contact lookup from Patch Retention...\n');
-    const phoneLookup = await buildPhoneLookup(true); // Force refresh
+    const contactIndex = await buildContactIndex(true); // Force refresh
 
-    console.log(`✅ Built lookup with ${phoneLookup.size} existing contacts\n`);
+    console.log(`✅ Built lookup with ${contactIndex.contacts.length} existing contacts\n`);
 
     // Step 3: Process customers in batches
     console.log(`📥 Step 3: Syncing ${allCustomers.length} customers in batches of ${BATCH_SIZE}...\n`);
 
-    const totalBatches = Math.ceil(allCustomers.length / BATCH_SIZE);
-    let batchNumber = 1;
+    const { totalBatches, results: aggregateResults } = checkpoint;
+    const firstBatchIndex = checkpoint.lastCompletedBatch * BATCH_SIZE;
 
-    const aggregateResults = {
-      created: 0,
-      updated: 0,
-      skipped: 0,
-      errors: 0
-    };
-
-    for (let i = 0; i < allCustomers.length; i += BATCH_SIZE) {
+    for (let i = firstBatchIndex; i < allCustomers.length; i += BATCH_SIZE) {
       const batch = allCustomers.slice(i, i + BATCH_SIZE);
+      const batchNumber = i / BATCH_SIZE + 1;
 
       console.log(`\n--- Batch ${batchNumber}/${totalBatches} (${batch.length} customers) ---`);
 
       const batchResults = await syncBatch(batch, {
-        phoneLookup,
+        contactIndex,
         isInitialSync: true,
-        includeLastServiceDate: false // Skip for speed (can update later)
+        includeLastServiceDate: false, // Skip for speed (can update later)
+        dryRun
       });
 
       // Aggregate results
       aggregateResults.created += batchResults.created;
       aggregateResults.updated += batchResults.updated;
       aggregateResults.skipped += batchResults.skipped;
+      aggregateResults.archived = (aggregateResults.archived || 0) + batchResults.archived; // Missing in older checkpoints
       aggregateResults.errors += batchResults.errors;
+      aggregateResults.queued += batchResults.queued;
 
-      console.log(`Progress: ${Math.min(i + BATCH_SIZE, allCustomers.length)}/${allCustomers.length} customers processed`);
+      // Record per-customer outcomes and checkpoint the batch
+      batchResults.details.forEach(result => {
+        checkpoint.outcomes[result.customer.id] = {
+          customerId: result.customer.id,
+          customerName: `${result.customer.first_name || ''} ${result.customer.last_name || ''}`.trim(),
+          phone: result.customer.mobile_number || result.customer.home_number || null,
+          action: result.action,
+          reason: result.reason || null,
+          error: result.error || null,
+          contactId: result.contact?._id || null,
+          contactName: result.contact
+            ? `${result.contact.first_name || ''} ${result.contact.last_name || ''}`.trim()
+            : null,
+          matchConfidence: result.match ? result.match.confidence : null,
+          matchReasons: result.match ? result.match.reasons : null,
+          candidates: result.reason === 'needs_review' ? result.match.candidates : undefined,
+          changes: result.changes || undefined
+        };
+      });
+      checkpoint.lastCompletedBatch = batchNumber;
+      saveCheckpoint(checkpoint);
 
-      batchNumber++;
+      console.log(`Progress: ${Math.min(i + BATCH_SIZE, allCustomers.length)}/${allCustomers.length} customers processed`);
 
       // Small delay between batches to avoid rate limits
       if (i + BATCH_SIZE < allCustomers.length) {
@@ -82,6 +263,24 @@ async function runBulkSync() {
       }
     }
 
+    checkpoint.status = 'completed';
+    checkpoint.completedAt = new Date().toISOString();
+    saveCheckpoint(checkpoint);
+
+    // Dry run: write the plan report and stop
+    if (dryRun) {
+      const { csvPath, jsonPath } = writePlanReport(checkpoint);
+
+      console.log('\n📋 DRY RUN PLAN');
+      console.log(`   ✅ Would create:  ${aggregateResults.created} new contacts`);
+      console.log(`   ✏️  Would update:  ${aggregateResults.updated} existing contacts`);
+      console.log(`   ⏭️  Would skip:    ${aggregateResults.skipped} contacts`);
+      console.log(`   📦 Would archive: ${aggregateResults.archived} contacts (archived customers)`);
+      console.log(`   ❌ Errors:        ${aggregateResults.errors}`);
+      console.log(`\n📄 Plan report:\n   ${csvPath}\n   ${jsonPath}\n`);
+      return;
+    }
+
     // Final summary
     console.log('\n╔═══════════════════════════════════════════════════════╗');
     console.log('║  🎉 BULK SYNC COMPLETE!                               ║');
@@ -91,15 +290,29 @@ async function runBulkSync() {
     console.log(`   ✅ Created:  ${aggregateResults.created} new contacts`);
     console.log(`   ✏️  Updated:  ${aggregateResults.updated} existing contacts`);
     console.log(`   ⏭️  Skipped:  ${aggregateResults.skipped} contacts (no changes)`);
-    console.log(`   ❌ Errors:   ${aggregateResults.errors} failed syncs`);
+    console.log(`   📦 Archived: ${aggregateResults.archived} contacts (archived customers)`);
+    console.log(`   ❌ Errors:   ${aggregateResults.errors} failed syncs (${aggregateResults.queued} queued for retry)`);
     console.log(`   📈 Total:    ${allCustomers.length} customers processed\n`);
 
+    console.log('🌐 API Requests:');
+    for (const [api, metrics] of Object.entries(getHttpMetrics())) {
+      console.log(`   ${api}: ${metrics.requests} requests, ${metrics.retries} retries, ${metrics.rateLimited} rate-limited, avg ${metrics.avgDurationMs}ms`);
+    }
+    console.log('');
+
     console.log('✅ All Housecall Pro customers are now synced to Patch Retention!');
     console.log('✅ Real-time webhook sync will handle new/updated customers going forward.\n');
 
   } catch (error) {
     console.error('\n❌ Bulk sync failed:', error.message);
     console.error(error.stack);
+
+    if (checkpoint) {
+      checkpoint.status = 'failed';
+      checkpoint.lastError = error.message;
+      saveCheckpoint(checkpoint);
+      console.error(`\n💾 Progress saved. Resume with: npm run bulk-sync -- --resume ${checkpoint.runId}\n`);
+    }
     process.exit(1);
   }
 }
@@ -0,0 +1,206 @@
+/**
+ * Consistency Check Script - Compare Housecall Pro customers with Patch Retention contacts
+ *
+ * Pairs every Housecall Pro customer with its Patch contact (ID mapping, then the
+ * normal matching logic) and reports drift:
+ * - missing     HC customer with no Patch contact
+ * - review      HC customer whose match is uncertain (see `npm run review-matches`)
+ * - orphan      Patch contact tagged Source:housecallpro with no HC customer
+ * - mismatch    Field that differs (name, email, city, address, tags)
+ *
+ * Usage:
+ *   npm run consistency-check             # Report only
+ *   npm run consistency-check -- --fix    # Also re-sync missing and mismatched customers
+ *
+ * Writes reports/consistency-<runId>.csv (one row per issue) and .json (summary + issues).
+ * --fix runs the normal sync pipeline, so merge rules (e.g. manual Patch edits) still apply.
+ */
+
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { getAllCustomers } from '../lib/housecallApi.js';
+import { buildContactIndex, findContactByCustomerId, findBestMatch } from '../lib/dedup.js';
+import { diffContact, mergeTags } from '../lib/merge.js';
+import { transformCustomerSync, getLastServiceAddress, OWNED_TAG_NAMESPACES } from '../lib/transform.js';
+import { syncBatch } from '../lib/sync.js';
+import { writeReport } from '../lib/report.js';
+import { createRunId } from '../lib/checkpoint.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Contact fields compared between the two systems
+const COMPARED_FIELDS = ['first_name', 'last_name', 'email', 'city', 'address', 'tags'];
+
+// Tags that differ by design (Sync:initial vs Sync:realtime)
+const IGNORED_TAG_NAMESPACES = ['Sync'];
+
+const REPORT_COLUMNS = [
+  'issue',
+  'hcCustomerId',
+  'customerName',
+  'contactId',
+  'contactName',
+  'field',
+  'hcValue',
+  'patchValue'
+];
+
+const fullName = (record) => `${record.first_name || ''} ${record.last_name || ''}`.trim();
+
+/**
+ * Drop tags that are expected to differ
+ * @param {array} tags - Tags
+ * @returns {array} - Comparable tags
+ */
+function comparableTags(tags = []) {
+  return tags.filter(tag => !IGNORED_TAG_NAMESPACES.includes(String(tag).split(':')[0]));
+}
+
+/**
+ * Find field-level differences between a customer and its Patch contact
+ * Tags are compared the way a sync would write them: owned namespaces replaced,
+ * other Patch tags kept - so tags added in Patch alone are not drift.
+ * @param {object} customer - Housecall Pro customer
+ * @param {object} contact - Patch contact
+ * @param {object|null} lastServiceAddress - Most recently serviced property (multi-property customers)
+ * @returns {array} - [{ field, current, proposed }]
+ */
+function findMismatches(customer, contact, lastServiceAddress = null) {
+  const patchData = transformCustomerSync(customer, false, { lastServiceAddress });
+
+  const expected = {};
+  COMPARED_FIELDS.forEach(field => {
+    if (field === 'tags') {
+      expected.tags = comparableTags(mergeTags(contact.tags, patchData.tags, OWNED_TAG_NAMESPACES));
+    } else if (patchData[field] !== undefined) {
+      expected[field] = patchData[field];
+    }
+  });
+
+  return diffContact(expected, { ...contact, tags: comparableTags(contact.tags) });
+}
+
+/**
+ * Main consistency check function
+ */
+async function runCheck() {
+  console.log('╔═══════════════════════════════════════════════════════╗');
+  console.log('║  Housecall Pro ↔ Patch Retention Consistency Check   ║');
+  console.log('╚═══════════════════════════════════════════════════════╝\n');
+
+  try {
+    const { values } = parseArgs({
+      options: {
+        fix: { type: 'boolean', default: false }
+      }
+    });
+
+    console.log('📥 Step 1: Fetching customers from Housecall Pro...\n');
+    const customers = await getAllCustomers();
+
+    console.log('📥 Step 2: Building contact lookup from Patch Retention...\n');
+    const contactIndex = await buildContactIndex(true);
+
+    console.log(`\n🔎 Step 3: Comparing ${customers.length} customers with ${contactIndex.contacts.length} contacts...\n`);
+
+    const issues = [];
+    const pairedContactIds = new Set();
+    const toFix = [];
+
+    for (const customer of customers) {
+      const customerName = fullName(customer);
+
+      let contact = await findContactByCustomerId(customer.id, contactIndex);
+      if (!contact) {
+        const match = await findBestMatch(customer, transformCustomerSync(customer), contactIndex);
+        contact = match.contact;
+
+        if (match.status === 'review') {
+          issues.push({ issue: 'review', hcCustomerId: customer.id, customerName, patchValue: match.candidates });
+          continue;
+        }
+      }
+
+      if (!contact) {
+        issues.push({ issue: 'missing', hcCustomerId: customer.id, customerName });
+        toFix.push(customer);
+        continue;
+      }
+
+      pairedContactIds.add(contact._id);
+
+      const mismatches = findMismatches(customer, contact, await getLastServiceAddress(customer));
+      mismatches.forEach(mismatch => {
+        issues.push({
+          issue: 'mismatch',
+          hcCustomerId: customer.id,
+          customerName,
+          contactId: contact._id,
+          contactName: fullName(contact),
+          field: mismatch.field,
+          hcValue: mismatch.proposed,
+          patchValue: mismatch.current
+        });
+      });
+
+      if (mismatches.length > 0) {
+        toFix.push(customer);
+      }
+    }
+
+    // Patch contacts we created that no longer have a Housecall Pro customer
+    contactIndex.contacts
+      .filter(contact => (contact.tags || []).includes('Source:housecallpro') && !pairedContactIds.has(contact._id))
+      .forEach(contact => {
+        issues.push({ issue: 'orphan', contactId: contact._id, contactName: fullName(contact), patchValue: contact.phone || contact.email || '' });
+      });
+
+    const summary = {
+      customers: customers.length,
+      contacts: contactIndex.contacts.length,
+      missing: issues.filter(issue => issue.issue === 'missing').length,
+      review: issues.filter(issue => issue.issue === 'review').length,
+      orphans: issues.filter(issue => issue.issue === 'orphan').length,
+      mismatchedCustomers: new Set(issues.filter(issue => issue.issue === 'mismatch').map(issue => issue.hcCustomerId)).size,
+      mismatchedFields: issues.filter(issue => issue.issue === 'mismatch').length
+    };
+
+    // Optional fix: run drifted customers through the normal sync pipeline
+    let fixResults = null;
+    if (values.fix && toFix.length > 0) {
+      console.log(`\n🔧 Step 4: Re-syncing ${toFix.length} missing or mismatched customers...\n`);
+      const batchResults = await syncBatch(toFix, { contactIndex });
+      const { details, ...counts } = batchResults;
+      fixResults = counts;
+    }
+
+    const { csvPath, jsonPath } = writeReport(`consistency-${createRunId()}`, issues, {
+      columns: REPORT_COLUMNS,
+      json: {
+        generatedAt: new Date().toISOString(),
+        summary,
+        fixResults,
+        issues
+      }
+    });
+
+    console.log('\n📊 Consistency Results:');
+    console.log(`   ❓ Missing in Patch:      ${summary.missing} customers`);
+    console.log(`   🔍 Needs match review:    ${summary.review} customers`);
+    console.log(`   👻 Orphaned in Patch:     ${summary.orphans} contacts`);
+    console.log(`   ≠  Mismatched:           ${summary.mismatchedCustomers} customers (${summary.mismatchedFields} fields)`);
+    if (fixResults) {
+      console.log(`\n🔧 Fix Results: ${fixResults.created} created, ${fixResults.updated} updated, ${fixResults.skipped} skipped, ${fixResults.errors} errors`);
+    } else if (toFix.length > 0) {
+      console.log(`\n💡 Run with --fix to re-sync ${toFix.length} customers`);
+    }
+    console.log(`\n📄 Report:\n   ${csvPath}\n   ${jsonPath}\n`);
+  } catch (error) {
+    console.error('\n❌ Consistency check failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the check
+runCheck();
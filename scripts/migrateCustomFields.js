@@ -0,0 +1,125 @@
+/**
+ * Custom Field Migration Script - Move tag-encoded values into Patch custom fields
+ *
+ * 1. Creates any custom field in config/customFields.json that doesn't exist in Patch yet
+ * 2. Copies values from the old tags (ZIP:, State:, HCID:, LastService:, LifetimeValue:)
+ *    into the matching custom fields on every contact tagged Source:housecallpro
+ *
+ * Tags are left in place - existing segments and the reverse sync still use them.
+ * Set "enabled": true in config/customFields.json afterwards so syncs keep the
+ * fields up to date.
+ *
+ * Usage:
+ *   npm run migrate-custom-fields               # Create fields and migrate values
+ *   npm run migrate-custom-fields -- --dry-run  # Report what would change
+ *
+ * Writes reports/custom-field-migration-<runId>.csv (one row per contact) and .json.
+ */
+
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { getAllContacts, updateContact } from '../lib/patchApi.js';
+import { loadCustomFieldMapping, ensureCustomFields, buildCustomFields, getTagValues } from '../lib/customFields.js';
+import { diffContact } from '../lib/merge.js';
+import { recordWrite } from '../lib/echoGuard.js';
+import { writeReport } from '../lib/report.js';
+import { createRunId } from '../lib/checkpoint.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const REPORT_COLUMNS = ['contactId', 'name', 'status', 'fields', 'error'];
+
+/**
+ * Main migration function
+ */
+async function runMigration() {
+  console.log('╔═══════════════════════════════════════════════════════╗');
+  console.log('║     Patch Retention Custom Field Migration           ║');
+  console.log('╚═══════════════════════════════════════════════════════╝\n');
+
+  try {
+    const { values } = parseArgs({
+      options: {
+        'dry-run': { type: 'boolean', default: false }
+      }
+    });
+    const dryRun = values['dry-run'];
+    const mapping = loadCustomFieldMapping();
+
+    console.log(`📋 Step 1: Checking ${Object.keys(mapping.fields).length} custom field definitions...\n`);
+    const definitions = await ensureCustomFields({ mapping, dryRun });
+    console.log(`   ✅ Existing: ${definitions.existing.join(', ') || 'none'}`);
+    if (definitions.created.length > 0) {
+      console.log(`   ➕ Created:  ${definitions.created.join(', ')}`);
+    }
+    if (definitions.missing.length > 0) {
+      console.log(`   ❓ Missing (dry run): ${definitions.missing.join(', ')}`);
+    }
+
+    console.log('\n📥 Step 2: Fetching contacts from Patch Retention...\n');
+    const contacts = (await getAllContacts())
+      .filter(contact => (contact.tags || []).includes('Source:housecallpro'));
+
+    console.log(`\n🔄 Step 3: Migrating tag values for ${contacts.length} contacts${dryRun ? ' (dry run)' : ''}...\n`);
+
+    const rows = [];
+    for (const contact of contacts) {
+      const name = `${contact.first_name || ''} ${contact.last_name || ''}`.trim();
+      const customFields = buildCustomFields(getTagValues(contact.tags, mapping), { mapping, force: true });
+
+      if (!customFields || diffContact({ custom_fields: customFields }, contact).length === 0) {
+        rows.push({ contactId: contact._id, name, status: 'unchanged' });
+        continue;
+      }
+
+      const fields = Object.entries(customFields).map(([key, value]) => `${key}=${value}`);
+
+      if (dryRun) {
+        rows.push({ contactId: contact._id, name, status: 'would_update', fields });
+        continue;
+      }
+
+      try {
+        await recordWrite('patch', contact._id, { custom_fields: customFields });
+        await updateContact(contact._id, { custom_fields: customFields });
+        rows.push({ contactId: contact._id, name, status: 'updated', fields });
+      } catch (error) {
+        rows.push({ contactId: contact._id, name, status: 'error', fields, error: error.message });
+      }
+    }
+
+    const summary = {
+      contacts: contacts.length,
+      updated: rows.filter(row => row.status === 'updated' || row.status === 'would_update').length,
+      unchanged: rows.filter(row => row.status === 'unchanged').length,
+      errors: rows.filter(row => row.status === 'error').length
+    };
+
+    const { csvPath, jsonPath } = writeReport(`custom-field-migration-${createRunId()}`, rows, {
+      columns: REPORT_COLUMNS,
+      json: {
+        generatedAt: new Date().toISOString(),
+        dryRun,
+        definitions,
+        summary,
+        rows
+      }
+    });
+
+    console.log('\n📊 Migration Results:');
+    console.log(`   ✏️  ${dryRun ? 'Would update' : 'Updated'}: ${summary.updated} contacts`);
+    console.log(`   ⏭️  Unchanged:  ${summary.unchanged} contacts`);
+    console.log(`   ❌ Errors:     ${summary.errors} contacts`);
+    if (!dryRun && !mapping.enabled) {
+      console.log('\n💡 Set "enabled": true in config/customFields.json so syncs keep the fields up to date');
+    }
+    console.log(`\n📄 Report:\n   ${csvPath}\n   ${jsonPath}\n`);
+  } catch (error) {
+    console.error('\n❌ Custom field migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+runMigration();
@@ -0,0 +1,127 @@
+/**
+ * Retry Queue Script - Inspect and replay failed syncs
+ *
+ * Usage:
+ *   npm run retry-queue                     # List pending retries and dead letters
+ *   npm run retry-queue -- process          # Retry everything that is due now
+ *   npm run retry-queue -- replay <id>      # Re-queue one dead letter and retry it
+ *   npm run retry-queue -- replay --all     # Re-queue all dead letters and retry them
+ *   npm run retry-queue -- discard <id>     # Permanently drop a dead letter
+ *
+ * Uses the same store as the webhook when KV_REST_API_URL/KV_REST_API_TOKEN are in .env.
+ */
+
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import {
+  listPending,
+  listDeadLetters,
+  requeueDeadLetter,
+  discardDeadLetter
+} from '../lib/retryQueue.js';
+import { retryFailedSyncs } from '../lib/sync.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+/**
+ * Describe a queue entry on one line
+ * @param {object} entry - Queue entry
+ * @returns {string} - Summary line
+ */
+function describeEntry(entry) {
+  const customer = entry.type === 'job' ? entry.payload.customer : entry.payload;
+  const name = customer ? `${customer.first_name || ''} ${customer.last_name || ''}`.trim() : 'unknown';
+  const status = entry.lastStatus ? ` [${entry.lastStatus}]` : '';
+
+  return `${entry.id} (${name}) - ${entry.attempts} attempt(s)${status}: ${entry.lastError}`;
+}
+
+/**
+ * Print pending retries and dead letters
+ */
+async function listQueue() {
+  const [pending, deadLetters] = await Promise.all([listPending(), listDeadLetters()]);
+
+  console.log(`\n🔁 Pending retries: ${pending.length}`);
+  pending.forEach(entry => {
+    console.log(`   ${describeEntry(entry)} → next at ${entry.nextAttemptAt}`);
+  });
+
+  console.log(`\n☠️  Dead letters: ${deadLetters.length}`);
+  deadLetters.forEach(entry => {
+    console.log(`   ${describeEntry(entry)}`);
+  });
+  console.log('');
+}
+
+/**
+ * Retry everything that is due and print a summary
+ */
+async function processQueue() {
+  const stats = await retryFailedSyncs();
+
+  console.log('📊 Retry Results:');
+  console.log(`   ✅ Succeeded:     ${stats.succeeded}`);
+  console.log(`   ❌ Failed:        ${stats.failed}`);
+  console.log(`   ☠️  Dead-lettered: ${stats.deadLettered}\n`);
+}
+
+async function run() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      all: { type: 'boolean', default: false }
+    }
+  });
+
+  const [command = 'list', id] = positionals;
+
+  try {
+    switch (command) {
+      case 'list':
+        await listQueue();
+        break;
+
+      case 'process':
+        await processQueue();
+        break;
+
+      case 'replay': {
+        const ids = values.all
+          ? (await listDeadLetters()).map(entry => entry.id)
+          : [id];
+
+        if (!ids[0]) {
+          throw new Error('Usage: replay <id> | replay --all');
+        }
+
+        for (const entryId of ids) {
+          const entry = await requeueDeadLetter(entryId);
+          if (!entry) {
+            console.warn(`⚠️  Dead letter not found: ${entryId}`);
+          }
+        }
+
+        await processQueue();
+        break;
+      }
+
+      case 'discard':
+        if (!id) {
+          throw new Error('Usage: discard <id>');
+        }
+        await discardDeadLetter(id);
+        console.log(`🗑️  Discarded dead letter ${id}`);
+        break;
+
+      default:
+        throw new Error(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    console.error('\n❌ Retry queue command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+run();
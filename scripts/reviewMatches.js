@@ -0,0 +1,73 @@
+/**
+ * Match Review Script - Resolve customers flagged for an uncertain Patch match
+ *
+ * Usage:
+ *   npm run review-matches                                  # List customers waiting for review
+ *   npm run review-matches -- link <hcId> <patchContactId>  # Same person: link to that contact
+ *   npm run review-matches -- dismiss <hcId>                # Different person: allow a new contact
+ *
+ * Linked or dismissed customers are synced normally on their next webhook or bulk sync.
+ * Uses the same store as the webhook when KV_REST_API_URL/KV_REST_API_TOKEN are in .env.
+ */
+
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { listReviews, clearReview, dismissReview } from '../lib/reviewQueue.js';
+import { saveMapping } from '../lib/idMap.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+/**
+ * Print customers waiting for review with their candidate contacts
+ */
+async function listQueue() {
+  const reviews = await listReviews();
+
+  console.log(`\n🔍 Customers waiting for match review: ${reviews.length}`);
+  reviews.forEach(entry => {
+    console.log(`\n   ${entry.hcCustomerId} - ${entry.name || 'unknown'} (${entry.phone || 'no phone'}, ${entry.email || 'no email'})`);
+    entry.candidates.forEach(candidate => {
+      console.log(`      → ${candidate.contactId} ${candidate.name} - ${candidate.confidence}% (${candidate.reasons.join(', ')})`);
+    });
+  });
+  console.log('');
+}
+
+async function run() {
+  const { positionals } = parseArgs({ allowPositionals: true });
+  const [command = 'list', hcId, patchContactId] = positionals;
+
+  try {
+    switch (command) {
+      case 'list':
+        await listQueue();
+        break;
+
+      case 'link':
+        if (!hcId || !patchContactId) {
+          throw new Error('Usage: link <hcId> <patchContactId>');
+        }
+        await saveMapping(hcId, patchContactId);
+        await clearReview(hcId);
+        console.log(`🔗 Linked ${hcId} → Patch contact ${patchContactId}`);
+        break;
+
+      case 'dismiss':
+        if (!hcId) {
+          throw new Error('Usage: dismiss <hcId>');
+        }
+        await dismissReview(hcId);
+        console.log(`🆕 Dismissed review for ${hcId} - it will get its own contact on the next sync`);
+        break;
+
+      default:
+        throw new Error(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    console.error('\n❌ Match review command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,226 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getHousecallConsent,
+  buildConsentFields,
+  preserveOptOuts,
+  applyNewContactConsent,
+  isDefaultSmsConsent,
+  recordConsentChange
+} from '../lib/consent.js';
+import { setStore } from '../lib/store.js';
+
+/**
+ * In-memory store adapter
+ */
+function createMemoryStore() {
+  const data = new Map();
+  return {
+    data,
+    async get(key) { return data.has(key) ? data.get(key) : null; },
+    async set(key, value) { data.set(key, value); },
+    async delete(key) { data.delete(key); },
+    async list(prefix = '') { return [...data.keys()].filter(key => key.startsWith(prefix)); }
+  };
+}
+
+const DO_NOT_SERVICE = { sms: false, email: false, source: 'housecallpro:do_not_service' };
+const NOTIFICATIONS_DISABLED = { sms: false, email: false, source: 'housecallpro:notifications_disabled' };
+const MARKETING_OPT_OUT = { sms: false, email: false, source: 'housecallpro:marketing_opt_out' };
+const OPT_IN_WITH_EMAIL = { sms: true, email: true, source: 'housecallpro:marketing_opt_in' };
+const OPT_IN_WITHOUT_EMAIL = { sms: true, email: null, source: 'housecallpro:marketing_opt_in' };
+const UNKNOWN = { sms: null, email: null, source: null };
+
+// [do_not_service, notifications_enabled, marketing_opt_in, has email, expected consent]
+const CONSENT_CASES = [
+  [true,      true,      true,      true,  DO_NOT_SERVICE],
+  [true,      true,      true,      false, DO_NOT_SERVICE],
+  [true,      true,      false,     true,  DO_NOT_SERVICE],
+  [true,      true,      false,     false, DO_NOT_SERVICE],
+  [true,      true,      undefined, true,  DO_NOT_SERVICE],
+  [true,      true,      undefined, false, DO_NOT_SERVICE],
+  [true,      false,     true,      true,  DO_NOT_SERVICE],
+  [true,      false,     true,      false, DO_NOT_SERVICE],
+  [true,      false,     false,     true,  DO_NOT_SERVICE],
+  [true,      false,     false,     false, DO_NOT_SERVICE],
+  [true,      false,     undefined, true,  DO_NOT_SERVICE],
+  [true,      false,     undefined, false, DO_NOT_SERVICE],
+  [true,      undefined, true,      true,  DO_NOT_SERVICE],
+  [true,      undefined, true,      false, DO_NOT_SERVICE],
+  [true,      undefined, false,     true,  DO_NOT_SERVICE],
+  [true,      undefined, false,     false, DO_NOT_SERVICE],
+  [true,      undefined, undefined, true,  DO_NOT_SERVICE],
+  [true,      undefined, undefined, false, DO_NOT_SERVICE],
+  [false,     true,      true,      true,  OPT_IN_WITH_EMAIL],
+  [false,     true,      true,      false, OPT_IN_WITHOUT_EMAIL],
+  [false,     true,      false,     true,  MARKETING_OPT_OUT],
+  [false,     true,      false,     false, MARKETING_OPT_OUT],
+  [false,     true,      undefined, true,  UNKNOWN],
+  [false,     true,      undefined, false, UNKNOWN],
+  [false,     false,     true,      true,  NOTIFICATIONS_DISABLED],
+  [false,     false,     true,      false, NOTIFICATIONS_DISABLED],
+  [false,     false,     false,     true,  NOTIFICATIONS_DISABLED],
+  [false,     false,     false,     false, NOTIFICATIONS_DISABLED],
+  [false,     false,     undefined, true,  NOTIFICATIONS_DISABLED],
+  [false,     false,     undefined, false, NOTIFICATIONS_DISABLED],
+  [false,     undefined, true,      true,  OPT_IN_WITH_EMAIL],
+  [false,     undefined, true,      false, OPT_IN_WITHOUT_EMAIL],
+  [false,     undefined, false,     true,  MARKETING_OPT_OUT],
+  [false,     undefined, false,     false, MARKETING_OPT_OUT],
+  [false,     undefined, undefined, true,  UNKNOWN],
+  [false,     undefined, undefined, false, UNKNOWN],
+  [undefined, true,      true,      true,  OPT_IN_WITH_EMAIL],
+  [undefined, true,      true,      false, OPT_IN_WITHOUT_EMAIL],
+  [undefined, true,      false,     true,  MARKETING_OPT_OUT],
+  [undefined, true,      false,     false, MARKETING_OPT_OUT],
+  [undefined, true,      undefined, true,  UNKNOWN],
+  [undefined, true,      undefined, false, UNKNOWN],
+  [undefined, false,     true,      true,  NOTIFICATIONS_DISABLED],
+  [undefined, false,     true,      false, NOTIFICATIONS_DISABLED],
+  [undefined, false,     false,     true,  NOTIFICATIONS_DISABLED],
+  [undefined, false,     false,     false, NOTIFICATIONS_DISABLED],
+  [undefined, false,     undefined, true,  NOTIFICATIONS_DISABLED],
+  [undefined, false,     undefined, false, NOTIFICATIONS_DISABLED],
+  [undefined, undefined, true,      true,  OPT_IN_WITH_EMAIL],
+  [undefined, undefined, true,      false, OPT_IN_WITHOUT_EMAIL],
+  [undefined, undefined, false,     true,  MARKETING_OPT_OUT],
+  [undefined, undefined, false,     false, MARKETING_OPT_OUT],
+  [undefined, undefined, undefined, true,  UNKNOWN],
+  [undefined, undefined, undefined, false, UNKNOWN]
+];
+
+describe('getHousecallConsent', () => {
+  for (const [do_not_service, notifications_enabled, marketing_opt_in, hasEmail, expected] of CONSENT_CASES) {
+    const customer = { id: 'cus_1', do_not_service, notifications_enabled, marketing_opt_in, email: hasEmail ? 'jane@example.com' : null };
+    const label = `do_not_service=${do_not_service} notifications_enabled=${notifications_enabled} ` +
+      `marketing_opt_in=${marketing_opt_in} email=${hasEmail ? 'yes' : 'no'}`;
+
+    test(label, () => {
+      assert.deepEqual(getHousecallConsent(customer), expected);
+    });
+  }
+
+  test('notifications_enabled alone never subscribes', () => {
+    assert.deepEqual(getHousecallConsent({ notifications_enabled: true, email: 'jane@example.com' }), { sms: null, email: null, source: null });
+  });
+
+  test('buildConsentFields maps consent to Patch fields', () => {
+    assert.deepEqual(buildConsentFields({ marketing_opt_in: true, email: 'jane@example.com' }), { sms_subscribed: true, email_subscribed: true });
+    assert.deepEqual(buildConsentFields({}), { sms_subscribed: null, email_subscribed: null });
+  });
+});
+
+describe('preserveOptOuts', () => {
+  const subscribe = { first_name: 'Jane', sms_subscribed: true, email_subscribed: true };
+
+  test('never re-subscribes a contact unsubscribed in Patch', () => {
+    const result = preserveOptOuts(subscribe, { sms_subscribed: false, email_subscribed: false });
+    assert.deepEqual(result, { first_name: 'Jane' });
+  });
+
+  test('keeps only the channel that is still subscribed', () => {
+    const result = preserveOptOuts(subscribe, { sms_subscribed: false, email_subscribed: true });
+    assert.deepEqual(result, { first_name: 'Jane', email_subscribed: true });
+  });
+
+  test('treats a globally unsubscribed contact as opted out of both', () => {
+    assert.deepEqual(preserveOptOuts(subscribe, { unsubscribed: true }), { first_name: 'Jane' });
+  });
+
+  test('treats status unsubscribed as an SMS opt-out', () => {
+    assert.deepEqual(preserveOptOuts(subscribe, { status: 'unsubscribed' }), { first_name: 'Jane', email_subscribed: true });
+  });
+
+  test('passes subscribes through for subscribed contacts', () => {
+    assert.deepEqual(preserveOptOuts(subscribe, { sms_subscribed: true, email_subscribed: true }), subscribe);
+  });
+
+  test('always passes opt-outs through', () => {
+    const optOut = { sms_subscribed: false, email_subscribed: false };
+    assert.deepEqual(preserveOptOuts(optOut, { sms_subscribed: false, email_subscribed: false }), optOut);
+    assert.deepEqual(preserveOptOuts(optOut, { sms_subscribed: true }), optOut);
+  });
+
+  test('lets an opt-in replace the sync\'s own SMS default', () => {
+    const result = preserveOptOuts(subscribe, { sms_subscribed: false, email_subscribed: false }, { smsDefault: true });
+    assert.deepEqual(result, { first_name: 'Jane', sms_subscribed: true });
+  });
+
+  test('never treats an explicit unsubscribe as the SMS default', () => {
+    assert.deepEqual(preserveOptOuts(subscribe, { status: 'unsubscribed' }, { smsDefault: true }), { first_name: 'Jane', email_subscribed: true });
+    assert.deepEqual(preserveOptOuts(subscribe, { unsubscribed: true }, { smsDefault: true }), { first_name: 'Jane' });
+  });
+
+  test('leaves payloads for new contacts alone', () => {
+    assert.equal(preserveOptOuts(subscribe, null), subscribe);
+  });
+});
+
+describe('applyNewContactConsent', () => {
+  test('creates contacts with unknown consent unsubscribed from SMS', () => {
+    assert.deepEqual(applyNewContactConsent({ first_name: 'Jane' }), { first_name: 'Jane', sms_subscribed: false });
+  });
+
+  test('keeps a known opt-in or opt-out', () => {
+    assert.deepEqual(applyNewContactConsent({ sms_subscribed: true }), { sms_subscribed: true });
+    assert.deepEqual(applyNewContactConsent({ sms_subscribed: false, email_subscribed: false }), { sms_subscribed: false, email_subscribed: false });
+  });
+});
+
+describe('recordConsentChange', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+    setStore(store);
+  });
+
+  afterEach(() => {
+    setStore(null);
+  });
+
+  test('records an opt-out with its Housecall Pro source', async () => {
+    const entry = await recordConsentChange({ id: 'cus_1', do_not_service: true }, 'p1', { sms_subscribed: false, email_subscribed: false });
+
+    assert.equal(entry.action, 'consent_updated');
+    assert.equal(entry.source, 'housecallpro:do_not_service');
+    assert.equal(entry.hcCustomerId, 'cus_1');
+    assert.equal(entry.patchContactId, 'p1');
+    assert.equal(entry.sms_subscribed, false);
+    assert.equal(entry.email_subscribed, false);
+    assert.equal(store.data.size, 1);
+  });
+
+  test('records an opt-in for the channels written', async () => {
+    const entry = await recordConsentChange({ id: 'cus_1', marketing_opt_in: true }, 'p1', { sms_subscribed: true });
+
+    assert.equal(entry.source, 'housecallpro:marketing_opt_in');
+    assert.equal(entry.sms_subscribed, true);
+    assert.equal('email_subscribed' in entry, false);
+  });
+
+  test('records the SMS default for new contacts without consent', async () => {
+    const entry = await recordConsentChange({ id: 'cus_1' }, 'p1', { sms_subscribed: false });
+    assert.equal(entry.source, 'default:no_sms_consent');
+  });
+
+  test('marks the SMS default so a later opt-in can replace it', async () => {
+    await recordConsentChange({ id: 'cus_1' }, 'p1', { sms_subscribed: false });
+
+    assert.equal(await isDefaultSmsConsent({ _id: 'p1', sms_subscribed: false }), true);
+    assert.equal(await isDefaultSmsConsent({ _id: 'p1', sms_subscribed: false, status: 'unsubscribed' }), false);
+    assert.equal(await isDefaultSmsConsent({ _id: 'p2', sms_subscribed: false }), false);
+  });
+
+  test('drops the SMS default marker once real consent is written', async () => {
+    await recordConsentChange({ id: 'cus_1' }, 'p1', { sms_subscribed: false });
+    await recordConsentChange({ id: 'cus_1', marketing_opt_in: false }, 'p1', { sms_subscribed: false, email_subscribed: false });
+
+    assert.equal(await isDefaultSmsConsent({ _id: 'p1', sms_subscribed: false }), false);
+  });
+
+  test('records nothing when no subscription field was written', async () => {
+    assert.equal(await recordConsentChange({ id: 'cus_1', do_not_service: true }, 'p1', { first_name: 'Jane' }), null);
+    assert.equal(store.data.size, 0);
+  });
+});
@@ -0,0 +1,155 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveField, applyMergePolicy } from '../lib/merge.js';
+import { validateMergePolicy, getFieldRule } from '../lib/mergePolicy.js';
+
+// Record-level flags as returned by explainUpdateDecision()
+const HC_NEWER = { manuallyEdited: false, hcNewer: true, recordUpdate: true };
+const HC_MORE_COMPLETE = { manuallyEdited: false, hcNewer: false, recordUpdate: true };
+const PATCH_CURRENT = { manuallyEdited: false, hcNewer: false, recordUpdate: false };
+const MANUALLY_EDITED = { manuallyEdited: true, hcNewer: true, recordUpdate: true };
+
+const rule = (strategy, gates = {}) => ({ strategy, respectManualEdits: false, requireRecordUpdate: false, ...gates });
+
+describe('resolveField strategies', () => {
+  test('source-wins takes the Housecall Pro value', () => {
+    assert.equal(resolveField(rule('source-wins'), 'hc@example.com', 'patch@example.com', PATCH_CURRENT), 'hc@example.com');
+  });
+
+  test('source-wins never clears a Patch value with an empty one', () => {
+    assert.equal(resolveField(rule('source-wins'), '', 'patch@example.com', HC_NEWER), 'patch@example.com');
+    assert.equal(resolveField(rule('source-wins'), null, 'patch@example.com', HC_NEWER), 'patch@example.com');
+  });
+
+  test('target-wins keeps the Patch value', () => {
+    assert.equal(resolveField(rule('target-wins'), 'Jane', 'Janet', HC_NEWER), 'Janet');
+    assert.equal(resolveField(rule('target-wins'), 'Jane', null, HC_NEWER), null);
+  });
+
+  test('newest-wins takes the Housecall Pro value when it is newer', () => {
+    assert.equal(resolveField(rule('newest-wins'), 'Provo', 'Orem', HC_NEWER), 'Provo');
+  });
+
+  test('newest-wins keeps the Patch value when Patch is newer', () => {
+    assert.equal(resolveField(rule('newest-wins'), 'Provo', 'Orem', HC_MORE_COMPLETE), 'Orem');
+  });
+
+  test('newest-wins fills an empty Patch value and ignores an empty source', () => {
+    assert.equal(resolveField(rule('newest-wins'), 'Provo', '', PATCH_CURRENT), 'Provo');
+    assert.equal(resolveField(rule('newest-wins'), '', 'Orem', HC_NEWER), 'Orem');
+  });
+
+  test('non-empty-wins only fills empty Patch fields', () => {
+    assert.equal(resolveField(rule('non-empty-wins'), 'Doe', '', PATCH_CURRENT), 'Doe');
+    assert.equal(resolveField(rule('non-empty-wins'), 'Doe', 'Smith', HC_NEWER), 'Smith');
+  });
+
+  test('union merges tags and replaces owned namespaces', () => {
+    const merged = resolveField(
+      rule('union'),
+      ['Source:housecallpro', 'State:UT'],
+      ['VIP', 'State:ID', 'Source:housecallpro'],
+      PATCH_CURRENT,
+      ['Source', 'State']
+    );
+    assert.deepEqual(merged, ['VIP', 'Source:housecallpro', 'State:UT']);
+  });
+
+  test('union keeps tags in namespaces the sync does not own', () => {
+    const merged = resolveField(rule('union'), ['State:UT'], ['LeadSource:google'], PATCH_CURRENT, ['State']);
+    assert.deepEqual(merged, ['LeadSource:google', 'State:UT']);
+  });
+
+  test('union behaves like source-wins for scalar values', () => {
+    assert.equal(resolveField(rule('union'), 'Jane', 'Janet', PATCH_CURRENT), 'Jane');
+    assert.equal(resolveField(rule('union'), '', 'Janet', PATCH_CURRENT), 'Janet');
+  });
+});
+
+describe('resolveField gates', () => {
+  test('respectManualEdits keeps a hand-edited Patch value', () => {
+    assert.equal(resolveField(rule('source-wins', { respectManualEdits: true }), 'Jane', 'Janet', MANUALLY_EDITED), 'Janet');
+  });
+
+  test('respectManualEdits off overwrites a hand-edited contact', () => {
+    assert.equal(resolveField(rule('source-wins'), 'Jane', 'Janet', MANUALLY_EDITED), 'Jane');
+  });
+
+  test('requireRecordUpdate keeps the Patch value when Patch is current', () => {
+    assert.equal(resolveField(rule('source-wins', { requireRecordUpdate: true }), 'Jane', 'Janet', PATCH_CURRENT), 'Janet');
+  });
+
+  test('requireRecordUpdate allows the change when Housecall Pro is newer or more complete', () => {
+    const gated = rule('source-wins', { requireRecordUpdate: true });
+    assert.equal(resolveField(gated, 'Jane', 'Janet', HC_NEWER), 'Jane');
+    assert.equal(resolveField(gated, 'Jane', 'Janet', HC_MORE_COMPLETE), 'Jane');
+  });
+
+  test('gates apply before the strategy', () => {
+    const gated = rule('non-empty-wins', { requireRecordUpdate: true });
+    assert.equal(resolveField(gated, 'Doe', '', PATCH_CURRENT), '');
+  });
+});
+
+describe('applyMergePolicy', () => {
+  const policy = validateMergePolicy({
+    defaults: { strategy: 'source-wins', respectManualEdits: true, requireRecordUpdate: true },
+    fields: {
+      tags: { strategy: 'union' },
+      city: { strategy: 'non-empty-wins', respectManualEdits: false, requireRecordUpdate: false },
+      sms_subscribed: { strategy: 'source-wins', respectManualEdits: false, requireRecordUpdate: false }
+    }
+  });
+
+  const existing = {
+    first_name: 'Janet',
+    city: '',
+    sms_subscribed: true,
+    tags: ['VIP', 'State:ID']
+  };
+
+  const patchData = {
+    first_name: 'Jane',
+    city: 'Provo',
+    sms_subscribed: false,
+    tags: ['State:UT']
+  };
+
+  test('sends only the fields that change', () => {
+    const { payload, changes } = applyMergePolicy(patchData, existing, HC_NEWER, { policy, ownedNamespaces: ['State'] });
+    assert.deepEqual(payload, {
+      first_name: 'Jane',
+      city: 'Provo',
+      sms_subscribed: false,
+      tags: ['VIP', 'State:UT']
+    });
+    assert.deepEqual(changes.map(change => change.field), ['first_name', 'city', 'sms_subscribed', 'tags']);
+  });
+
+  test('ungated fields still change when Patch is current', () => {
+    const { payload } = applyMergePolicy(patchData, existing, PATCH_CURRENT, { policy, ownedNamespaces: ['State'] });
+    assert.deepEqual(payload, { city: 'Provo', sms_subscribed: false });
+  });
+
+  test('returns an empty payload when nothing changes', () => {
+    const { payload, changes } = applyMergePolicy({ first_name: 'Janet' }, existing, HC_NEWER, { policy });
+    assert.deepEqual(payload, {});
+    assert.deepEqual(changes, []);
+  });
+});
+
+describe('merge policy configuration', () => {
+  test('field rules are layered over the defaults', () => {
+    const policy = { defaults: { strategy: 'target-wins' }, fields: { email: { requireRecordUpdate: false } } };
+    assert.deepEqual(getFieldRule(policy, 'email'), { strategy: 'target-wins', respectManualEdits: true, requireRecordUpdate: false });
+    assert.deepEqual(getFieldRule(policy, 'city'), { strategy: 'target-wins', respectManualEdits: true, requireRecordUpdate: true });
+  });
+
+  test('rejects an unknown strategy', () => {
+    assert.throws(() => validateMergePolicy({ fields: { email: { strategy: 'hc-wins' } } }), /Invalid merge strategy "hc-wins" for email/);
+  });
+
+  test('rejects a gate that is not a boolean', () => {
+    assert.throws(() => validateMergePolicy({ defaults: { respectManualEdits: 'yes' } }), /respectManualEdits for defaults must be true or false/);
+  });
+});
@@ -0,0 +1,117 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { enqueueFailedSync, clearPending, listPending } from '../lib/retryQueue.js';
+import { syncCustomer } from '../lib/sync.js';
+import { transformCustomerSync } from '../lib/transform.js';
+import { indexContact } from '../lib/dedup.js';
+import { saveMapping } from '../lib/idMap.js';
+import { setStore } from '../lib/store.js';
+
+/**
+ * In-memory store adapter
+ */
+function createMemoryStore() {
+  const data = new Map();
+  return {
+    data,
+    async get(key) { return data.has(key) ? data.get(key) : null; },
+    async set(key, value) { data.set(key, value); },
+    async delete(key) { data.delete(key); },
+    async list(prefix = '') { return [...data.keys()].filter(key => key.startsWith(prefix)); }
+  };
+}
+
+/**
+ * Patch contact that is already up to date with a customer (the sync skips it)
+ */
+function buildSyncedContact(customer) {
+  const patchData = transformCustomerSync(customer);
+  return { _id: 'con_1', ...patchData, tags: [...patchData.tags, 'Type:customer'] };
+}
+
+/**
+ * Index holding one contact (instead of loading every Patch contact)
+ */
+function buildIndex(contact) {
+  const contactIndex = { contacts: [], byId: new Map(), byPhone: new Map(), byEmail: new Map(), byZip: new Map() };
+  indexContact(contactIndex, contact);
+  return contactIndex;
+}
+
+/**
+ * Error as thrown by the API clients for a transient failure
+ */
+function serverError() {
+  const error = new Error('Service Unavailable');
+  error.status = 503;
+  return error;
+}
+
+const customer = {
+  id: 'cus_1',
+  first_name: 'Ada',
+  last_name: 'Lovelace',
+  mobile_number: '(512) 555-0142',
+  updated_at: '2025-01-01T00:00:00Z'
+};
+
+let originalLog;
+
+beforeEach(() => {
+  setStore(createMemoryStore());
+  originalLog = console.log;
+  console.log = () => {};
+});
+
+afterEach(() => {
+  console.log = originalLog;
+  setStore(null);
+});
+
+describe('clearPending', () => {
+  test('removes the pending entry of the synced record', async () => {
+    await enqueueFailedSync('customer', customer, serverError());
+
+    assert.equal(await clearPending('customer', customer), true);
+    assert.deepEqual(await listPending(), []);
+  });
+
+  test('leaves entries of other records and types alone', async () => {
+    await enqueueFailedSync('customer', { ...customer, id: 'cus_2' }, serverError());
+    await enqueueFailedSync('job', { id: 'cus_1' }, serverError());
+
+    assert.equal(await clearPending('customer', customer), false);
+    assert.deepEqual((await listPending()).map(entry => entry.id).sort(), ['customer:cus_2', 'job:cus_1']);
+  });
+
+  test('ignores payloads without an ID', async () => {
+    assert.equal(await clearPending('customer', { first_name: 'Ada' }), false);
+  });
+});
+
+describe('syncCustomer', () => {
+  test('drops a queued retry once the customer syncs', async () => {
+    const contact = buildSyncedContact(customer);
+    const contactIndex = buildIndex(contact);
+    await saveMapping(customer.id, contact._id);
+
+    // Older payload queued after a failed write
+    await enqueueFailedSync('customer', { ...customer, first_name: 'Old' }, serverError());
+
+    const result = await syncCustomer(customer, { contactIndex });
+
+    assert.equal(result.action, 'skipped');
+    assert.deepEqual(await listPending(), []);
+  });
+
+  test('keeps the queued retry on a dry run', async () => {
+    const contact = buildSyncedContact(customer);
+    const contactIndex = buildIndex(contact);
+    await saveMapping(customer.id, contact._id);
+    await enqueueFailedSync('customer', customer, serverError());
+
+    await syncCustomer(customer, { contactIndex, dryRun: true });
+
+    assert.equal((await listPending()).length, 1);
+  });
+});
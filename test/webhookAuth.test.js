@@ -0,0 +1,161 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeSignature, verifySignature, hasSignatureHeaders } from '../lib/webhookAuth.js';
+import handler from '../api/sync.js';
+
+const SECRET = 'test-signing-secret';
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const TIMESTAMP = String(Math.floor(NOW / 1000));
+const BODY = JSON.stringify({ event: 'customer.updated', data: { id: 'cus_1', first_name: 'Jane' } });
+
+/**
+ * Build signed Housecall Pro headers for a body
+ */
+function signedHeaders(body, { secret = SECRET, timestamp = TIMESTAMP } = {}) {
+  return {
+    'api-timestamp': timestamp,
+    'api-signature': computeSignature(secret, timestamp, body)
+  };
+}
+
+describe('verifySignature', () => {
+  const options = { secret: SECRET, toleranceSeconds: 300, now: NOW };
+
+  test('accepts a valid signature', () => {
+    assert.deepEqual(verifySignature(Buffer.from(BODY), signedHeaders(BODY), options), { valid: true, reason: null });
+  });
+
+  test('accepts an uppercase signature', () => {
+    const headers = signedHeaders(BODY);
+    headers['api-signature'] = headers['api-signature'].toUpperCase();
+    assert.equal(verifySignature(BODY, headers, options).valid, true);
+  });
+
+  test('rejects a tampered body', () => {
+    const tampered = BODY.replace('Jane', 'Jake');
+    assert.deepEqual(verifySignature(tampered, signedHeaders(BODY), options), { valid: false, reason: 'signature_mismatch' });
+  });
+
+  test('rejects a stale timestamp', () => {
+    const timestamp = String(Math.floor(NOW / 1000) - 301);
+    const result = verifySignature(BODY, signedHeaders(BODY, { timestamp }), options);
+    assert.deepEqual(result, { valid: false, reason: 'timestamp_out_of_range' });
+  });
+
+  test('rejects a future timestamp', () => {
+    const timestamp = String(Math.floor(NOW / 1000) + 301);
+    const result = verifySignature(BODY, signedHeaders(BODY, { timestamp }), options);
+    assert.deepEqual(result, { valid: false, reason: 'timestamp_out_of_range' });
+  });
+
+  test('accepts a millisecond timestamp within tolerance', () => {
+    const timestamp = String(NOW - 60 * 1000);
+    assert.equal(verifySignature(BODY, signedHeaders(BODY, { timestamp }), options).valid, true);
+  });
+
+  test('rejects a missing signature or timestamp', () => {
+    const { 'api-signature': signature, 'api-timestamp': timestamp } = signedHeaders(BODY);
+    assert.equal(verifySignature(BODY, {}, options).reason, 'missing_signature');
+    assert.equal(verifySignature(BODY, { 'api-signature': signature }, options).reason, 'missing_signature');
+    assert.equal(verifySignature(BODY, { 'api-timestamp': timestamp }, options).reason, 'missing_signature');
+  });
+
+  test('rejects a signature made with the wrong secret', () => {
+    const result = verifySignature(BODY, signedHeaders(BODY, { secret: 'other-secret' }), options);
+    assert.deepEqual(result, { valid: false, reason: 'signature_mismatch' });
+  });
+
+  test('rejects everything when no secret is configured', () => {
+    const result = verifySignature(BODY, signedHeaders(BODY), { ...options, secret: null });
+    assert.deepEqual(result, { valid: false, reason: 'secret_not_configured' });
+  });
+
+  test('hasSignatureHeaders needs both headers', () => {
+    assert.equal(hasSignatureHeaders(signedHeaders(BODY)), true);
+    assert.equal(hasSignatureHeaders({ 'api-signature': 'abc' }), false);
+    assert.equal(hasSignatureHeaders({}), false);
+  });
+});
+
+/**
+ * Minimal request/response pair for the webhook handler
+ */
+function createRequest(body, headers = {}) {
+  return { method: 'POST', headers, rawBody: Buffer.from(body) };
+}
+
+function createResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+describe('api/sync webhook authentication', () => {
+  const originalSecret = process.env.HOUSECALL_WEBHOOK_SECRET;
+  const originalLog = console.log;
+
+  beforeEach(() => {
+    process.env.HOUSECALL_WEBHOOK_SECRET = SECRET;
+    // Keep the handler's request logging out of the test output
+    console.log = () => {};
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    if (originalSecret === undefined) delete process.env.HOUSECALL_WEBHOOK_SECRET;
+    else process.env.HOUSECALL_WEBHOOK_SECRET = originalSecret;
+  });
+
+  test('answers an unsigned ping without verifying it', async () => {
+    const res = createResponse();
+    await handler(createRequest(JSON.stringify({ event: 'ping' })), res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.success, true);
+  });
+
+  test('answers an unsigned test delivery without a secret configured', async () => {
+    delete process.env.HOUSECALL_WEBHOOK_SECRET;
+    const res = createResponse();
+    await handler(createRequest(JSON.stringify({ event: 'test' })), res);
+    assert.equal(res.statusCode, 200);
+  });
+
+  test('verifies a ping that carries signature headers', async () => {
+    const body = JSON.stringify({ event: 'ping' });
+    const res = createResponse();
+    await handler(createRequest(body, { 'api-timestamp': String(Math.floor(Date.now() / 1000)), 'api-signature': 'deadbeef' }), res);
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('rejects an unsigned customer event', async () => {
+    const res = createResponse();
+    await handler(createRequest(BODY), res);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'Invalid webhook signature');
+  });
+
+  test('rejects a tampered customer event', async () => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const res = createResponse();
+    await handler(createRequest(BODY.replace('Jane', 'Jake'), signedHeaders(BODY, { timestamp })), res);
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('returns 500 for a customer event when no secret is configured', async () => {
+    delete process.env.HOUSECALL_WEBHOOK_SECRET;
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const res = createResponse();
+    await handler(createRequest(BODY, signedHeaders(BODY, { timestamp })), res);
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.error, 'Webhook signing secret not configured');
+  });
+});